@@ -31,10 +31,44 @@ class Animations {
         });
         await this.sleep(duration);
         elements.forEach(el => {
+            el.style.transition = '';
             el.style.transform = '';
         });
     }
 
+    static async slideIn(element, fromX, duration = 500) {
+        element.style.transform = `translateX(${fromX}px)`;
+        element.style.opacity = '0';
+        element.getBoundingClientRect();
+        element.style.transition = `all ${duration}ms ease`;
+        element.style.transform = '';
+        element.style.opacity = '1';
+        await this.sleep(duration);
+        element.style.transition = '';
+    }
+
+    static async slideOut(element, toX, toY = 0, duration = 500) {
+        element.style.transition = `all ${duration}ms ease`;
+        element.style.transform = `translate(${toX}px, ${toY}px)`;
+        element.style.opacity = '0';
+        await this.sleep(duration);
+    }
+
+    // Adds an absolutely positioned marker to the container and glides it
+    // from its previous x (if any) to the new one.
+    static placeMarker(container, className, label, x, previousX, duration = 500) {
+        const marker = document.createElement('div');
+        marker.className = `queue-marker ${className}`;
+        marker.textContent = label;
+        container.appendChild(marker);
+
+        marker.style.left = `${previousX === undefined ? x : previousX}px`;
+        marker.getBoundingClientRect();
+        marker.style.transition = `left ${duration}ms ease`;
+        marker.style.left = `${x}px`;
+        return marker;
+    }
+
     static async animateStackPush(element, duration = 500) {
         element.style.transform = 'translateY(-50px)';
         element.style.opacity = '0';
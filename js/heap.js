@@ -1,9 +1,23 @@
 // heap.js - Heap (Priority Queue) visualizer
 
+// Each sift-down comparison is recorded in `steps` as a copy of the array
+// plus the indices involved, so the visualizer can replay a build.
 class Heap {
     constructor(isMax = true) {
         this.heap = [];
         this.isMax = isMax;
+        this.steps = [];
+    }
+
+    // Bottom-up heapify: every index past floor(n/2) - 1 is a leaf and
+    // already a heap, so sift down the internal nodes from the last one back
+    // to the root. Most nodes sit near the bottom and move little, so O(n).
+    buildFrom(values) {
+        this.heap = values.slice();
+        this.steps = [];
+        for (let i = Math.floor(this.heap.length / 2) - 1; i >= 0; i--) {
+            this._heapifyDown(i);
+        }
     }
 
     insert(value) {
@@ -12,6 +26,7 @@ class Heap {
     }
 
     delete() {
+        this.steps = [];
         if (this.heap.length === 0) return null;
         if (this.heap.length === 1) return this.heap.pop();
 
@@ -40,6 +55,7 @@ class Heap {
         if (rightChild < this.heap.length && this._compare(this.heap[rightChild], this.heap[largest])) {
             largest = rightChild;
         }
+        this.steps.push({ heap: this.heap.slice(), index, leftChild, rightChild, largest });
 
         if (largest !== index) {
             [this.heap[index], this.heap[largest]] = [this.heap[largest], this.heap[index]];
@@ -88,11 +104,17 @@ class HeapVisualizer {
             <button id="heap-delete-btn" class="tooltip">Delete Root
                 <span class="tooltiptext">O(log n)</span>
             </button>
+            <br>
+            <input type="text" id="heap-array" placeholder="e.g. 3,9,2,1,4,5">
+            <button id="heap-build-btn" class="tooltip">Build Heap from Array
+                <span class="tooltiptext">Bottom-up heapify: sift down each internal node, last to first - O(n)</span>
+            </button>
         `;
 
         document.getElementById('heap-type').addEventListener('change', (e) => this.changeType(e.target.value));
         document.getElementById('heap-insert-btn').addEventListener('click', () => this.insert());
         document.getElementById('heap-delete-btn').addEventListener('click', () => this.delete());
+        document.getElementById('heap-build-btn').addEventListener('click', () => this.buildHeap());
     }
 
     static changeType(type) {
@@ -117,58 +139,127 @@ class HeapVisualizer {
             return;
         }
         const deleted = this.heap.delete();
-        await this.updateVisualization();
+        await this.playSiftSteps();
+        this.updateVisualization(this.heap.heap, null, this.heap.steps.length
+            ? `Deleted ${deleted}: the last element moved to the root and sifted down in ${this.heap.steps.length} steps.`
+            : `Deleted ${deleted}.`);
         this.updateComplexity();
         alert(`Deleted: ${deleted}`);
     }
 
-    static async updateVisualization() {
-        this.visualizationArea.innerHTML = '<div class="heap"></div>';
-        const heapDiv = this.visualizationArea.querySelector('.heap');
+    static async buildHeap() {
+        const input = document.getElementById('heap-array');
+        const values = input.value.split(/[\s,]+/).filter(token => token !== '').map(Number);
+        if (values.length === 0 || values.some(isNaN)) {
+            alert('Please enter numbers separated by commas');
+            return;
+        }
+        if (values.length > 31) {
+            alert('Please enter at most 31 numbers');
+            return;
+        }
+        input.value = '';
+        this.heap.buildFrom(values);
+
+        const lastInternal = Math.floor(values.length / 2) - 1;
+        this.updateVisualization(values, null, lastInternal < 0
+            ? 'A single value is already a heap - nothing to sift down.'
+            : `Start from the array as given. Indices ${lastInternal + 1}..${values.length - 1} are leaves; sift down from index ${lastInternal} back to 0.`);
+        await Animations.sleep(this.animationSpeed * 2);
+        await this.playSiftSteps();
+        this.updateVisualization(this.heap.heap, null, `Heap built in ${this.heap.steps.length} sift-down steps for ${values.length} values.`);
+        this.updateComplexity();
+    }
 
-        if (this.heap.heap.length > 0) {
-            this.drawHeap(heapDiv, 0, 400, 50, 150);
+    // Replays the sift-down steps recorded by the last build or delete
+    static async playSiftSteps() {
+        for (const step of this.heap.steps) {
+            this.updateVisualization(step.heap, step, this.describeStep(step));
+            await Animations.sleep(this.animationSpeed * 2);
         }
     }
 
-    static drawHeap(container, index, x, y, offset) {
-        if (index >= this.heap.heap.length) return;
+    static describeStep({ heap, index, leftChild, rightChild, largest }) {
+        const child = (name, formula, i) => i < heap.length ? `${name} ${formula} = ${i} (${heap[i]})` : `${name} ${formula} = ${i} (none)`;
+        const outcome = largest === index
+            ? 'heap property holds here, stop'
+            : `swap with index ${largest} and keep sifting down from there`;
+        return `Sift down i = ${index} (${heap[index]}): ${child('left', '2i+1', leftChild)}, ${child('right', '2i+2', rightChild)} - ${outcome}`;
+    }
+
+    // Draws the tree with the backing array under it. During a build,
+    // values is a recorded copy of the array and step marks the sift-down.
+    static async updateVisualization(values = this.heap.heap, step = null, note = '') {
+        this.visualizationArea.innerHTML = `
+            <div class="heap-view">
+                <div class="heap"></div>
+                <div class="heap-array"></div>
+                <p class="heap-note">${note}</p>
+            </div>
+        `;
+        if (values.length === 0) return;
+        const nodes = this.drawHeap(this.visualizationArea.querySelector('.heap'), values);
 
-        const nodeDiv = document.createElement('div');
-        nodeDiv.className = 'heap-node';
-        nodeDiv.textContent = this.heap.heap[index];
-        nodeDiv.style.left = `${x - 25}px`;
-        nodeDiv.style.top = `${y}px`;
-        container.appendChild(nodeDiv);
+        const row = this.visualizationArea.querySelector('.heap-array');
+        const cells = values.map((value, index) => {
+            const cell = document.createElement('div');
+            cell.className = 'heap-cell';
+            cell.innerHTML = `<span class="heap-cell-value">${value}</span><span class="heap-index">${index}</span>`;
+            row.appendChild(cell);
+            return cell;
+        });
 
-        const leftIndex = 2 * index + 1;
-        const rightIndex = 2 * index + 2;
+        // Hovering either a cell or a node lights up both
+        cells.forEach((cell, index) => {
+            [cell, nodes.get(index)].forEach(element => {
+                element.addEventListener('mouseenter', () => {
+                    cell.classList.add('linked');
+                    nodes.get(index).classList.add('linked');
+                });
+                element.addEventListener('mouseleave', () => {
+                    cell.classList.remove('linked');
+                    nodes.get(index).classList.remove('linked');
+                });
+            });
+        });
 
-        if (leftIndex < this.heap.heap.length) {
-            this.drawLine(container, x, y + 25, x - offset, y + 75);
-            this.drawHeap(container, leftIndex, x - offset, y + 100, offset / 2);
-        }
-        if (rightIndex < this.heap.heap.length) {
-            this.drawLine(container, x, y + 25, x + offset, y + 75);
-            this.drawHeap(container, rightIndex, x + offset, y + 100, offset / 2);
+        if (step) {
+            const mark = (index, className, label) => {
+                if (index >= values.length) return;
+                cells[index].classList.add(className);
+                nodes.get(index).classList.add(className);
+                const tag = document.createElement('span');
+                tag.className = 'heap-formula';
+                tag.textContent = label;
+                cells[index].appendChild(tag);
+            };
+            mark(step.index, 'sift-current', 'i');
+            mark(step.leftChild, 'sift-child', '2i+1');
+            mark(step.rightChild, 'sift-child', '2i+2');
+            if (step.largest !== step.index) {
+                cells[step.largest].classList.add('sift-target');
+                nodes.get(step.largest).classList.add('sift-target');
+            }
         }
     }
 
-    static drawLine(container, x1, y1, x2, y2) {
-        const line = document.createElement('div');
-        line.style.position = 'absolute';
-        line.style.left = `${x1}px`;
-        line.style.top = `${y1}px`;
-        line.style.width = `${Math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2)}px`;
-        line.style.height = '1px';
-        line.style.backgroundColor = 'var(--text-color)';
-        line.style.transformOrigin = '0 0';
-        line.style.transform = `rotate(${Math.atan2(y2 - y1, x2 - x1)}rad)`;
-        container.appendChild(line);
+    // Returns a Map of array index -> node element; TreeLayout appends the
+    // elements in preorder, which is not index order
+    static drawHeap(container, values = this.heap.heap) {
+        const size = values.length;
+        const nodes = new Map();
+        TreeLayout.draw(container, 0, i => [2 * i + 1, 2 * i + 2].map(c => c < size ? c : null), index => {
+            const nodeDiv = document.createElement('div');
+            nodeDiv.className = 'heap-node';
+            nodeDiv.textContent = values[index];
+            nodes.set(index, nodeDiv);
+            return nodeDiv;
+        });
+        return nodes;
     }
 
     static updateComplexity() {
-        this.timeComplexityP.textContent = 'Time Complexity: O(log n) for Insert/Delete';
+        this.timeComplexityP.textContent = 'Time Complexity: O(log n) for Insert/Delete, O(n) for Build Heap';
         this.spaceComplexityP.textContent = 'Space Complexity: O(n)';
     }
 }
\ No newline at end of file
@@ -8,131 +8,203 @@ class Node {
     }
 }
 
+// In a circular list the last node's next is the head (and, when doubly
+// linked, the head's prev is the last node). Mutating methods open the
+// circle, run the plain null-terminated logic, and close it again.
 class LinkedList {
-    constructor(isDoubly = false) {
+    constructor(isDoubly = false, isCircular = false) {
         this.head = null;
+        this.tail = null;
+        this.cycleTo = null;
         this.isDoubly = isDoubly;
+        this.isCircular = isCircular;
     }
 
-    insertAtBeginning(data) {
-        const newNode = new Node(data);
-        if (this.isDoubly) {
-            newNode.next = this.head;
-            if (this.head) this.head.prev = newNode;
-        } else {
-            newNode.next = this.head;
+    _open() {
+        if (!this.isCircular || !this.head) return;
+        this.tail.next = null;
+        if (this.isDoubly) this.head.prev = null;
+    }
+
+    _close() {
+        if (!this.isCircular || !this.head) return;
+        this.tail.next = this.head;
+        if (this.isDoubly) this.head.prev = this.tail;
+    }
+
+    _mutate(operation) {
+        this.removeCycle();
+        this._open();
+        try {
+            return operation();
+        } finally {
+            this._close();
         }
-        this.head = newNode;
     }
 
-    insertAtEnd(data) {
-        const newNode = new Node(data);
-        if (!this.head) {
+    insertAtBeginning(data) {
+        return this._mutate(() => {
+            const newNode = new Node(data);
+            if (this.isDoubly) {
+                newNode.next = this.head;
+                if (this.head) this.head.prev = newNode;
+            } else {
+                newNode.next = this.head;
+            }
             this.head = newNode;
-            return;
-        }
-        let current = this.head;
-        while (current.next) {
-            current = current.next;
-        }
-        current.next = newNode;
-        if (this.isDoubly) newNode.prev = current;
+            if (!this.tail) this.tail = newNode;
+            return true;
+        });
+    }
+
+    insertAtEnd(data) {
+        this._mutate(() => {
+            const newNode = new Node(data);
+            if (!this.head) {
+                this.head = newNode;
+                this.tail = newNode;
+                return;
+            }
+            this.tail.next = newNode;
+            if (this.isDoubly) newNode.prev = this.tail;
+            this.tail = newNode;
+        });
     }
 
+    // Returns false when position is outside 0..size
     insertAtPosition(data, position) {
-        if (position === 0) {
-            this.insertAtBeginning(data);
-            return;
-        }
-        const newNode = new Node(data);
-        let current = this.head;
-        let index = 0;
-        while (current && index < position - 1) {
-            current = current.next;
-            index++;
-        }
-        if (!current) return;
-        newNode.next = current.next;
-        current.next = newNode;
-        if (this.isDoubly) {
-            if (newNode.next) newNode.next.prev = newNode;
-            newNode.prev = current;
-        }
+        if (position < 0 || position > this.size()) return false;
+        if (position === 0) return this.insertAtBeginning(data);
+        return this._mutate(() => {
+            const newNode = new Node(data);
+            let current = this.head;
+            let index = 0;
+            while (current && index < position - 1) {
+                current = current.next;
+                index++;
+            }
+            newNode.next = current.next;
+            current.next = newNode;
+            if (this.isDoubly) {
+                if (newNode.next) newNode.next.prev = newNode;
+                newNode.prev = current;
+            }
+            if (current === this.tail) this.tail = newNode;
+            return true;
+        });
     }
 
     deleteFromBeginning() {
-        if (!this.head) return null;
-        const deleted = this.head;
-        this.head = this.head.next;
-        if (this.isDoubly && this.head) this.head.prev = null;
-        return deleted.data;
+        return this._mutate(() => {
+            if (!this.head) return null;
+            const deleted = this.head;
+            this.head = this.head.next;
+            if (this.isDoubly && this.head) this.head.prev = null;
+            if (!this.head) this.tail = null;
+            return deleted.data;
+        });
     }
 
+    // O(1) when doubly linked; a singly linked list still has to walk to
+    // the node before the tail.
     deleteFromEnd() {
-        if (!this.head) return null;
-        if (!this.head.next) {
-            const deleted = this.head;
-            this.head = null;
+        return this._mutate(() => {
+            if (!this.head) return null;
+            const deleted = this.tail;
+            if (this.head === this.tail) {
+                this.head = null;
+                this.tail = null;
+                return deleted.data;
+            }
+            if (this.isDoubly) {
+                this.tail = deleted.prev;
+                deleted.prev = null;
+            } else {
+                let current = this.head;
+                while (current.next !== deleted) {
+                    current = current.next;
+                }
+                this.tail = current;
+            }
+            this.tail.next = null;
             return deleted.data;
-        }
-        let current = this.head;
-        while (current.next.next) {
-            current = current.next;
-        }
-        const deleted = current.next;
-        current.next = null;
-        if (this.isDoubly) deleted.prev = null;
-        return deleted.data;
+        });
     }
 
     deleteAtPosition(position) {
+        if (position < 0) return null;
         if (position === 0) return this.deleteFromBeginning();
-        let current = this.head;
-        let index = 0;
-        while (current && index < position - 1) {
-            current = current.next;
-            index++;
-        }
-        if (!current || !current.next) return null;
-        const deleted = current.next;
-        current.next = deleted.next;
-        if (this.isDoubly) {
-            if (deleted.next) deleted.next.prev = current;
-        }
-        return deleted.data;
+        return this._mutate(() => {
+            let current = this.head;
+            let index = 0;
+            while (current && index < position - 1) {
+                current = current.next;
+                index++;
+            }
+            if (!current || !current.next) return null;
+            const deleted = current.next;
+            current.next = deleted.next;
+            if (this.isDoubly) {
+                if (deleted.next) deleted.next.prev = current;
+            }
+            if (deleted === this.tail) this.tail = current;
+            return deleted.data;
+        });
     }
 
     search(data) {
-        let current = this.head;
-        let position = 0;
-        while (current) {
-            if (current.data == data) return position;
-            current = current.next;
-            position++;
-        }
-        return -1;
+        return this.toNodeArray().findIndex(node => node.data == data);
+    }
+
+    // Points the tail back at the node at `position` so cycle detection has
+    // something to find. Any later insert or delete removes the cycle first.
+    createCycle(position) {
+        const target = this.toNodeArray()[position];
+        if (!target || this.isCircular) return false;
+        this.tail.next = target;
+        this.cycleTo = target;
+        return true;
+    }
+
+    removeCycle() {
+        if (!this.cycleTo) return;
+        this.tail.next = null;
+        this.cycleTo = null;
     }
 
     toArray() {
-        const arr = [];
+        return this.toNodeArray().map(node => node.data);
+    }
+
+    // Each node once, head first, even when the list is circular or has a cycle
+    toNodeArray() {
+        const nodes = [];
+        const seen = new Set();
         let current = this.head;
-        while (current) {
-            arr.push(current.data);
+        while (current && !seen.has(current)) {
+            nodes.push(current);
+            seen.add(current);
             current = current.next;
         }
-        return arr;
+        return nodes;
+    }
+
+    size() {
+        return this.toNodeArray().length;
     }
 }
 
 class LinkedListVisualizer {
-    static init(visualizationArea, operationsDiv, timeComplexityP, spaceComplexityP, animationSpeed, isDoubly) {
-        this.list = new LinkedList(isDoubly);
+    static init(visualizationArea, operationsDiv, timeComplexityP, spaceComplexityP, animationSpeed, isDoubly, isCircular = false) {
+        this.list = new LinkedList(isDoubly, isCircular);
         this.visualizationArea = visualizationArea;
         this.operationsDiv = operationsDiv;
         this.timeComplexityP = timeComplexityP;
         this.spaceComplexityP = spaceComplexityP;
         this.animationSpeed = animationSpeed;
         this.isDoubly = isDoubly;
+        this.isCircular = isCircular;
+        this.memoryView = false;
         this.highlightedNode = null;
 
         this.setupUI();
@@ -141,7 +213,7 @@ class LinkedListVisualizer {
     }
 
     static setupUI() {
-        const listType = this.isDoubly ? 'Doubly' : 'Singly';
+        const listType = (this.isCircular ? 'Circular ' : '') + (this.isDoubly ? 'Doubly' : 'Singly');
         this.operationsDiv.innerHTML = `
             <h3>${listType} Linked List Operations</h3>
             <div class="input-group">
@@ -153,7 +225,7 @@ class LinkedListVisualizer {
                     <span class="tooltiptext">Add to start - O(1)</span>
                 </button>
                 <button id="insert-end" class="tooltip">Insert at End
-                    <span class="tooltiptext">Add to end - O(n)</span>
+                    <span class="tooltiptext">Add after the tail - O(1)</span>
                 </button>
                 <button id="insert-pos" class="tooltip">Insert at Position
                     <span class="tooltiptext">Add at index - O(n)</span>
@@ -164,7 +236,7 @@ class LinkedListVisualizer {
                     <span class="tooltiptext">Remove from start - O(1)</span>
                 </button>
                 <button id="delete-end" class="tooltip">Delete from End
-                    <span class="tooltiptext">Remove from end - O(n)</span>
+                    <span class="tooltiptext">${this.isDoubly ? 'Step back from the tail via prev - O(1)' : 'Walk to the node before the tail - O(n)'}</span>
                 </button>
                 <button id="delete-pos" class="tooltip">Delete at Position
                     <span class="tooltiptext">Remove at index - O(n)</span>
@@ -177,7 +249,56 @@ class LinkedListVisualizer {
                 <button id="traverse-btn" class="tooltip">Traverse
                     <span class="tooltiptext">Highlight all nodes</span>
                 </button>
+                ${this.isDoubly ? `<button id="traverse-back-btn" class="tooltip">Traverse Backward
+                    <span class="tooltiptext">Follow prev links from the tail - O(n)</span>
+                </button>` : ''}
+                <button id="memory-view-btn" class="tooltip">Memory View
+                    <span class="tooltiptext">Show nodes at their addresses in a simulated heap</span>
+                </button>
             </div>
+            <p id="list-status"></p>
+            ${this.isCircular ? '' : `
+            <h4>Algorithms</h4>
+            <div class="input-group">
+                <input type="number" id="algo-n" placeholder="n / cycle position" min="0">
+                <input type="text" id="merge-values" placeholder="Second sorted list, e.g. 2,5,9">
+            </div>
+            <div class="button-group">
+                <button id="reverse-btn" class="tooltip">Reverse
+                    <span class="tooltiptext">Flip every next link in place with prev/curr/next - O(n)</span>
+                </button>
+                <button id="middle-btn" class="tooltip">Find Middle
+                    <span class="tooltiptext">fast moves two steps for every step of slow - O(n)</span>
+                </button>
+                <button id="remove-nth-btn" class="tooltip">Remove n-th from End
+                    <span class="tooltiptext">Start fast n nodes ahead of slow - O(n), one pass</span>
+                </button>
+            </div>
+            <div class="button-group">
+                <button id="create-cycle-btn" class="tooltip">Create Cycle
+                    <span class="tooltiptext">Point tail.next at the node at the given position</span>
+                </button>
+                <button id="detect-cycle-btn" class="tooltip">Detect Cycle
+                    <span class="tooltiptext">Floyd's tortoise and hare - O(n) time, O(1) space</span>
+                </button>
+                <button id="merge-btn" class="tooltip">Merge Sorted
+                    <span class="tooltiptext">Splice this sorted list with the second one - O(n + m)</span>
+                </button>
+            </div>
+            `}
+            ${this.isCircular ? `
+            <h4>Josephus Problem</h4>
+            <div class="input-group">
+                <input type="number" id="josephus-n" placeholder="People (n)" min="1" max="30">
+                <input type="number" id="josephus-k" placeholder="Count (k)" min="1">
+            </div>
+            <div class="button-group">
+                <button id="josephus-btn" class="tooltip">Run Josephus
+                    <span class="tooltiptext">Build 1..n in a circle and remove every k-th - O(n·k)</span>
+                </button>
+            </div>
+            <p id="josephus-result"></p>
+            ` : ''}
         `;
 
         document.getElementById('insert-begin').addEventListener('click', () => this.insertAtBeginning());
@@ -188,6 +309,20 @@ class LinkedListVisualizer {
         document.getElementById('delete-pos').addEventListener('click', () => this.deleteAtPosition());
         document.getElementById('search-btn').addEventListener('click', () => this.search());
         document.getElementById('traverse-btn').addEventListener('click', () => this.traverse());
+        document.getElementById('memory-view-btn').addEventListener('click', (e) => this.toggleMemoryView(e.currentTarget));
+        if (this.isDoubly) {
+            document.getElementById('traverse-back-btn').addEventListener('click', () => this.traverseBackward());
+        }
+        if (this.isCircular) {
+            document.getElementById('josephus-btn').addEventListener('click', () => this.josephus());
+        } else {
+            document.getElementById('reverse-btn').addEventListener('click', () => this.reverse());
+            document.getElementById('middle-btn').addEventListener('click', () => this.findMiddle());
+            document.getElementById('remove-nth-btn').addEventListener('click', () => this.removeNthFromEnd());
+            document.getElementById('create-cycle-btn').addEventListener('click', () => this.createCycle());
+            document.getElementById('detect-cycle-btn').addEventListener('click', () => this.detectCycle());
+            document.getElementById('merge-btn').addEventListener('click', () => this.mergeSorted());
+        }
     }
 
     static insertAtBeginning() {
@@ -214,18 +349,59 @@ class LinkedListVisualizer {
         document.getElementById('list-value').value = '';
     }
 
-    static insertAtPosition() {
+    static async insertAtPosition() {
         const value = document.getElementById('list-value').value.trim();
         const position = parseInt(document.getElementById('list-position').value);
         if (value === '' || isNaN(position)) {
             alert('Please enter both value and position');
             return;
         }
+        const size = this.list.size();
+        if (position < 0 || position > size) {
+            alert(`Position ${position} is out of range - use 0 to ${size}`);
+            return;
+        }
+        document.getElementById('list-value').value = '';
+        document.getElementById('list-position').value = '';
+
+        this.list.removeCycle();
+        this.updateVisualization();
+        const pred = await this.walkToPredecessor(position);
+        const succ = pred ? pred.next : this.list.head;
+
+        // The new node is drawn below the row until it is linked in
+        const pending = document.createElement('div');
+        pending.className = 'pending-node node-wrapper';
+        pending.innerHTML = `<div class="list-end-label">new</div><div class="node-box">${this.nodeBoxHTML(value, 'null', 'null')}</div>`;
+        this.visualizationArea.querySelector('.linked-list-container').appendChild(pending);
+        const setPending = (section, text) => {
+            pending.querySelector(`.${section}-section .pointer-value`).textContent = text;
+        };
+        await this.step({ pred }, `Create the new node ${value} off to the side`);
+
+        setPending('next', succ ? `→ ${succ.data}` : 'null');
+        await this.step({ pred, succ }, 'new.next = ' + (pred ? 'pred.next' : 'head'));
+        if (this.isDoubly) {
+            setPending('prev', pred ? `◄ ${pred.data}` : 'null');
+            await this.step({ pred, succ }, 'new.prev = ' + (pred ? 'pred' : 'null'));
+            if (succ) {
+                this.setPointerText(succ, 'prev', `◄ ${value}`);
+                await this.step({ pred, succ }, `${pred ? 'pred.next' : 'head'}.prev = new`);
+            }
+        }
+        if (pred) {
+            this.setPointerText(pred, 'next', `→ ${value}`);
+            await this.step({ pred, succ }, 'pred.next = new');
+        } else {
+            pending.querySelector('.list-end-label').textContent = 'new = head';
+            await this.step({ succ }, 'head = new');
+        }
+
         this.list.insertAtPosition(value, position);
         this.updateVisualization();
         this.updateComplexity();
-        document.getElementById('list-value').value = '';
-        document.getElementById('list-position').value = '';
+        this.highlightNode(position);
+        this.setStatus(`Inserted ${value} at position ${position}`);
     }
 
     static deleteFromBeginning() {
@@ -250,21 +426,53 @@ class LinkedListVisualizer {
         alert(`Deleted: ${deleted}`);
     }
 
-    static deleteAtPosition() {
+    static async deleteAtPosition() {
         const position = parseInt(document.getElementById('list-position').value);
         if (isNaN(position)) {
             alert('Please enter a position');
             return;
         }
-        const deleted = this.list.deleteAtPosition(position);
-        if (deleted === null) {
-            alert('Invalid position or list is empty!');
+        const size = this.list.size();
+        if (position < 0 || position >= size) {
+            alert(size ? `Position ${position} is out of range - use 0 to ${size - 1}` : 'List is empty!');
             return;
         }
+        document.getElementById('list-position').value = '';
+
+        this.list.removeCycle();
+        this.updateVisualization();
+        const pred = await this.walkToPredecessor(position);
+        const target = pred ? pred.next : this.list.head;
+        const succ = this.isCircular && target === this.list.tail ? null : target.next;
+
+        this.nodeElements.get(target).querySelector('.node-box').classList.add('eliminated');
+        await this.step({ pred, target }, `Found the node to delete: ${target.data}`);
+        if (pred) {
+            this.setPointerText(pred, 'next', succ ? `→ ${succ.data}` : (this.isCircular ? '↩ head' : 'null'));
+            await this.step({ pred, target, succ }, 'pred.next = target.next');
+        } else {
+            await this.step({ target, succ }, 'head = head.next');
+        }
+        if (this.isDoubly && succ) {
+            this.setPointerText(succ, 'prev', pred ? `◄ ${pred.data}` : 'null');
+            await this.step({ pred, target, succ }, 'target.next.prev = ' + (pred ? 'pred' : 'null'));
+        }
+
+        const deleted = this.list.deleteAtPosition(position);
         this.updateVisualization();
         this.updateComplexity();
-        alert(`Deleted: ${deleted}`);
-        document.getElementById('list-position').value = '';
+        this.setStatus(`Deleted ${deleted} from position ${position}`);
+    }
+
+    // Moves a `pred` marker from the head to the node before position and
+    // returns it (null when position is 0).
+    static async walkToPredecessor(position) {
+        let pred = null;
+        for (let index = 0; index < position; index++) {
+            pred = pred ? pred.next : this.list.head;
+            await this.step({ pred }, `Walk to position ${position - 1}: at index ${index}`);
+        }
+        return pred;
     }
 
     static search() {
@@ -288,17 +496,40 @@ class LinkedListVisualizer {
             alert('List is empty!');
             return;
         }
-        let current = this.list.head;
-        let position = 0;
-        while (current) {
+        const count = this.list.size();
+        for (let position = 0; position < count; position++) {
             this.highlightNode(position);
             await new Promise(resolve => setTimeout(resolve, this.animationSpeed));
-            position++;
-            current = current.next;
         }
         this.highlightNode(-1);
     }
 
+    // Walks prev links starting at the tail, so the highlight moves right to left
+    static async traverseBackward() {
+        if (!this.list.tail) {
+            alert('List is empty!');
+            return;
+        }
+        let position = this.list.size() - 1;
+        let current = this.list.tail;
+        const values = [];
+        while (position >= 0) {
+            values.push(current.data);
+            this.highlightNode(position);
+            await new Promise(resolve => setTimeout(resolve, this.animationSpeed));
+            current = current.prev;
+            position--;
+        }
+        this.highlightNode(-1);
+        alert(`Backward: ${values.join(' ← ')}`);
+    }
+
+    static toggleMemoryView(button) {
+        this.memoryView = !this.memoryView;
+        button.firstChild.textContent = this.memoryView ? 'Logical View' : 'Memory View';
+        this.updateVisualization();
+    }
+
     static highlightNode(position) {
         const nodes = document.querySelectorAll('.node-box');
         nodes.forEach((node, index) => {
@@ -313,19 +544,34 @@ class LinkedListVisualizer {
     static updateVisualization() {
         this.visualizationArea.innerHTML = '<div class="linked-list-container"></div>';
         const container = this.visualizationArea.querySelector('.linked-list-container');
+        this.nodeElements = new Map();
 
         if (!this.list.head) {
             container.innerHTML = '<p class="empty-message">List is empty. Add some values!</p>';
             return;
         }
 
+        container.appendChild(this.renderRow(this.list));
+
+        if (this.isCircular) {
+            const returnLink = document.createElement('div');
+            returnLink.className = 'circular-link';
+            returnLink.textContent = this.isDoubly ? 'tail.next = head, head.prev = tail' : 'tail.next = head';
+            container.appendChild(returnLink);
+        }
+    }
+
+    // Draws one list as a row of node boxes and remembers each node's
+    // wrapper in nodeElements so pointer markers can find it.
+    static renderRow(list) {
+        if (this.memoryView) return this.renderHeap(list);
+
         const nodesContainer = document.createElement('div');
         nodesContainer.className = 'nodes-container';
 
-        let current = this.list.head;
-        let position = 0;
-
-        while (current) {
+        const nodes = list.toNodeArray();
+        nodes.forEach((current, position) => {
+            const isLast = position === nodes.length - 1;
             const nodeWrapper = document.createElement('div');
             nodeWrapper.className = 'node-wrapper';
 
@@ -333,58 +579,364 @@ class LinkedListVisualizer {
             const nodeBox = document.createElement('div');
             nodeBox.className = 'node-box';
 
-            if (this.isDoubly) {
-                nodeBox.innerHTML = `
-                    <div class="node-content">
-                        <div class="node-section prev-section">
-                            <span class="section-label">prev</span>
-                            <span class="pointer-value">${current.prev ? '◄' : 'null'}</span>
-                        </div>
-                        <div class="node-section data-section">
-                            <span class="section-label">data</span>
-                            <span class="data-value">${current.data}</span>
-                        </div>
-                        <div class="node-section next-section">
-                            <span class="section-label">next</span>
-                            <span class="pointer-value">${current.next ? '►' : 'null'}</span>
-                        </div>
-                    </div>
-                `;
-            } else {
-                nodeBox.innerHTML = `
-                    <div class="node-content">
-                        <div class="node-section data-section">
-                            <span class="section-label">data</span>
-                            <span class="data-value">${current.data}</span>
-                        </div>
-                        <div class="node-section next-section">
-                            <span class="section-label">next</span>
-                            <span class="pointer-value">${current.next ? '→' : 'null'}</span>
-                        </div>
-                    </div>
-                `;
+            // In a circular list (or one with a cycle) the last link points back across the row
+            let nextLabel = !current.next ? 'null' : (this.isDoubly ? '►' : '→');
+            if (list.isCircular && isLast) nextLabel = '↩ head';
+            if (list.cycleTo && isLast) nextLabel = `↩ [${nodes.indexOf(list.cycleTo)}]`;
+            const prevLabel = !current.prev ? 'null' : (list.isCircular && position === 0 ? 'tail ↪' : '◄');
+
+            nodeBox.innerHTML = this.nodeBoxHTML(current.data, prevLabel, nextLabel);
+
+            if (current === list.head || current === list.tail) {
+                const label = document.createElement('div');
+                label.className = 'list-end-label';
+                label.textContent = [current === list.head && 'head', current === list.tail && 'tail'].filter(Boolean).join(' / ');
+                nodeWrapper.appendChild(label);
             }
 
             nodeWrapper.appendChild(nodeBox);
 
-            // Add arrow if there's a next node
-            if (current.next) {
+            const markers = document.createElement('div');
+            markers.className = 'pointer-markers';
+            nodeWrapper.appendChild(markers);
+
+            // Add arrow if there's a next node in the row
+            if (!isLast) {
                 const arrow = document.createElement('div');
                 arrow.className = this.isDoubly ? 'double-arrow' : 'arrow';
                 arrow.innerHTML = this.isDoubly ? '⇄' : '→';
                 nodeWrapper.appendChild(arrow);
             }
 
+            this.nodeElements.set(current, nodeWrapper);
             nodesContainer.appendChild(nodeWrapper);
-            current = current.next;
-            position++;
+        });
+
+        if (!list.isCircular) {
+            const nullSlot = document.createElement('div');
+            nullSlot.className = 'null-slot';
+            nullSlot.innerHTML = '<span class="section-label">null</span><div class="pointer-markers"></div>';
+            nodesContainer.appendChild(nullSlot);
+        }
+
+        return nodesContainer;
+    }
+
+    // Same cells as renderRow, but placed at their simulated addresses with
+    // pointer fields holding addresses instead of arrows
+    static renderHeap(list) {
+        const view = document.createElement('div');
+        view.className = 'memory-view';
+        view.innerHTML = `
+            <p class="memory-roots">head = ${MemoryView.address(list.head)} &middot; tail = ${MemoryView.address(list.tail)}</p>
+        `;
+        const cells = MemoryView.layout(view, list.toNodeArray());
+        cells.forEach((cell, node) => {
+            if (node === list.head || node === list.tail) {
+                cell.querySelector('.memory-address').textContent +=
+                    ' (' + [node === list.head && 'head', node === list.tail && 'tail'].filter(Boolean).join(' / ') + ')';
+            }
+            const nodeBox = document.createElement('div');
+            nodeBox.className = 'node-box';
+            nodeBox.innerHTML = this.nodeBoxHTML(node.data, MemoryView.address(node.prev), MemoryView.address(node.next));
+            const markers = document.createElement('div');
+            markers.className = 'pointer-markers';
+            cell.appendChild(nodeBox);
+            cell.appendChild(markers);
+            this.nodeElements.set(node, cell);
+        });
+        return view;
+    }
+
+    static nodeBoxHTML(data, prevLabel, nextLabel) {
+        const prevSection = this.isDoubly ? `
+                <div class="node-section prev-section">
+                    <span class="section-label">prev</span>
+                    <span class="pointer-value">${prevLabel}</span>
+                </div>` : '';
+        return `
+            <div class="node-content">${prevSection}
+                <div class="node-section data-section">
+                    <span class="section-label">data</span>
+                    <span class="data-value">${data}</span>
+                </div>
+                <div class="node-section next-section">
+                    <span class="section-label">next</span>
+                    <span class="pointer-value">${nextLabel}</span>
+                </div>
+            </div>
+        `;
+    }
+
+    // pointers maps a variable name to the node it references (or null).
+    // Markers for null pointers gather in the null slot of the first row.
+    static showPointers(pointers) {
+        this.visualizationArea.querySelectorAll('.pointer-marker').forEach(marker => marker.remove());
+        Object.entries(pointers).forEach(([name, node]) => {
+            const wrapper = node ? this.nodeElements.get(node) : this.visualizationArea.querySelector('.null-slot');
+            if (!wrapper) return;
+            const marker = document.createElement('span');
+            marker.className = `pointer-marker pointer-${name}`;
+            marker.textContent = name;
+            wrapper.querySelector('.pointer-markers').appendChild(marker);
+        });
+    }
+
+    static setPointerText(node, section, text) {
+        const wrapper = this.nodeElements.get(node);
+        if (wrapper) wrapper.querySelector(`.${section}-section .pointer-value`).textContent = text;
+    }
+
+    static setStatus(text) {
+        document.getElementById('list-status').textContent = text;
+    }
+
+    static async step(pointers, text) {
+        this.showPointers(pointers);
+        this.setStatus(text);
+        await Animations.sleep(this.animationSpeed);
+    }
+
+    static async reverse() {
+        if (!this.list.head) {
+            alert('List is empty!');
+            return;
         }
+        this.list.removeCycle();
+        this.updateVisualization();
 
-        container.appendChild(nodesContainer);
+        // Node boxes keep their original places while the links flip
+        let prev = null;
+        let curr = this.list.head;
+        await this.step({ prev, curr }, 'prev = null, curr = head');
+        while (curr) {
+            const next = curr.next;
+            await this.step({ prev, curr, next }, 'next = curr.next');
+            curr.next = prev;
+            if (this.isDoubly) curr.prev = next;
+            this.setPointerText(curr, 'next', prev ? '←' : 'null');
+            if (this.isDoubly) this.setPointerText(curr, 'prev', next ? '→' : 'null');
+            await this.step({ prev, curr, next }, 'curr.next = prev');
+            prev = curr;
+            curr = next;
+            await this.step({ prev, curr }, 'prev = curr, curr = next');
+        }
+
+        this.list.tail = this.list.head;
+        this.list.head = prev;
+        this.updateVisualization();
+        this.showPointers({ head: this.list.head });
+        this.setStatus('Done: head = prev');
+    }
+
+    static async findMiddle() {
+        if (!this.list.head) {
+            alert('List is empty!');
+            return;
+        }
+        this.list.removeCycle();
+        this.updateVisualization();
+
+        let slow = this.list.head;
+        let fast = this.list.head;
+        await this.step({ slow, fast }, 'slow = fast = head');
+        while (fast && fast.next) {
+            slow = slow.next;
+            fast = fast.next.next;
+            await this.step({ slow, fast }, 'slow moves 1, fast moves 2');
+        }
+        this.highlightNode(this.list.toNodeArray().indexOf(slow));
+        this.setStatus(`fast reached the end, so slow is at the middle: ${slow.data}`);
+    }
+
+    static async removeNthFromEnd() {
+        const n = parseInt(document.getElementById('algo-n').value);
+        const size = this.list.size();
+        if (size === 0) {
+            alert('List is empty!');
+            return;
+        }
+        if (isNaN(n) || n < 1 || n > size) {
+            alert(`Please enter n between 1 and ${size}`);
+            return;
+        }
+        this.list.removeCycle();
+        this.updateVisualization();
+
+        let fast = this.list.head;
+        for (let i = 0; i < n; i++) {
+            fast = fast.next;
+            await this.step({ fast }, `Move fast ${i + 1} of ${n} steps ahead`);
+        }
+        let slow = null;
+        if (fast) {
+            slow = this.list.head;
+            await this.step({ slow, fast }, 'slow = head');
+            while (fast.next) {
+                slow = slow.next;
+                fast = fast.next;
+                await this.step({ slow, fast }, 'Move both until fast is the last node');
+            }
+        }
+
+        // slow stops just before the target; no slow means the head itself goes
+        const nodes = this.list.toNodeArray();
+        const target = slow ? slow.next : this.list.head;
+        const targetIndex = nodes.indexOf(target);
+        this.nodeElements.get(target).querySelector('.node-box').classList.add('eliminated');
+        await this.step({ slow, fast }, slow ? 'slow.next = slow.next.next' : 'n equals the length, so head = head.next');
+        this.list.deleteAtPosition(targetIndex);
+        this.updateVisualization();
+        this.updateComplexity();
+        this.setStatus(`Removed ${target.data}, the ${n}-th node from the end`);
+    }
+
+    static createCycle() {
+        const position = parseInt(document.getElementById('algo-n').value);
+        const size = this.list.size();
+        if (isNaN(position) || position < 0 || position >= size) {
+            alert(size ? `Please enter a position between 0 and ${size - 1}` : 'List is empty!');
+            return;
+        }
+        this.list.removeCycle();
+        this.list.createCycle(position);
+        this.updateVisualization();
+        this.setStatus(`tail.next now points to position ${position}. Inserting or deleting removes the cycle.`);
+    }
+
+    static async detectCycle() {
+        if (!this.list.head) {
+            alert('List is empty!');
+            return;
+        }
+        this.updateVisualization();
+
+        let slow = this.list.head;
+        let fast = this.list.head;
+        await this.step({ slow, fast }, 'slow = fast = head');
+        while (fast && fast.next) {
+            slow = slow.next;
+            fast = fast.next.next;
+            await this.step({ slow, fast }, 'slow moves 1, fast moves 2');
+            if (slow === fast) break;
+        }
+        if (!fast || !fast.next) {
+            this.setStatus('fast reached null - no cycle');
+            return;
+        }
+
+        // Distance from head to the entry equals distance from the meeting point to the entry
+        slow = this.list.head;
+        await this.step({ slow, fast }, 'They met. Reset slow to head, then move both 1 step');
+        while (slow !== fast) {
+            slow = slow.next;
+            fast = fast.next;
+            await this.step({ slow, fast }, 'slow and fast move 1 step each');
+        }
+        this.highlightNode(this.list.toNodeArray().indexOf(slow));
+        this.setStatus(`Cycle found - it starts at ${slow.data}`);
+    }
+
+    static async mergeSorted() {
+        const values = document.getElementById('merge-values').value.split(',').map(v => v.trim()).filter(v => v !== '');
+        const current = this.list.toArray();
+        const isSorted = items => items.every((v, i) => !isNaN(v) && (i === 0 || Number(items[i - 1]) <= Number(v)));
+        if (values.length === 0 || !isSorted(values) || !isSorted(current)) {
+            alert('Both lists must be non-empty, numeric and sorted ascending');
+            return;
+        }
+        this.list.removeCycle();
+
+        const other = new LinkedList(this.isDoubly);
+        values.forEach(v => other.insertAtEnd(v));
+        this.updateVisualization();
+        const container = this.visualizationArea.querySelector('.linked-list-container');
+        container.appendChild(this.renderRow(other));
+
+        // tail walks a dummy node that is not drawn, so it starts at null
+        const dummy = new Node(null);
+        let tail = dummy;
+        let l1 = this.list.head;
+        let l2 = other.head;
+        let order = 0;
+        await this.step({ l1, l2 }, 'Compare the fronts of both lists');
+        while (l1 && l2) {
+            const takeFirst = Number(l1.data) <= Number(l2.data);
+            const chosen = takeFirst ? l1 : l2;
+            tail.next = chosen;
+            if (this.isDoubly) chosen.prev = tail === dummy ? null : tail;
+            tail = chosen;
+            if (takeFirst) l1 = l1.next;
+            else l2 = l2.next;
+            const wrapper = this.nodeElements.get(chosen);
+            wrapper.querySelector('.node-box').classList.add('merged');
+            const badge = wrapper.querySelector('.list-end-label') || document.createElement('div');
+            badge.className = 'list-end-label';
+            badge.textContent = `#${order++}`;
+            wrapper.appendChild(badge);
+            await this.step({ l1, l2, tail }, `${chosen.data} is smaller, so tail.next = ${takeFirst ? 'l1' : 'l2'}`);
+        }
+        const rest = l1 || l2;
+        tail.next = rest;
+        if (this.isDoubly && rest) rest.prev = tail;
+        await this.step({ l1, l2, tail }, 'One list ran out - tail.next = the rest of the other');
+
+        this.list.head = dummy.next;
+        this.list.tail = rest ? (rest === l1 ? this.list.tail : other.tail) : tail;
+        this.updateVisualization();
+        this.updateComplexity();
+        this.setStatus(`Merged: ${this.list.toArray().join(' → ')}`);
     }
 
     static updateComplexity() {
-        this.timeComplexityP.textContent = 'Time Complexity: Varies by operation (O(1) to O(n))';
-        this.spaceComplexityP.textContent = 'Space Complexity: O(n)';
+        const deleteEnd = this.isDoubly ? 'O(1)' : 'O(n)';
+        this.timeComplexityP.textContent = `Time Complexity: Insert at head/tail O(1), Delete head O(1), Delete tail ${deleteEnd}, Position/Search O(n)`;
+        this.spaceComplexityP.textContent = `Space Complexity: O(n) - ${this.isDoubly ? 'two pointers' : 'one pointer'} per node plus head and tail`;
     }
-}
\ No newline at end of file
+
+    // Builds 1..n as a circle and removes every k-th person, counting from
+    // the node after the last one removed, until one survivor is left.
+    static async josephus() {
+        const n = parseInt(document.getElementById('josephus-n').value);
+        const k = parseInt(document.getElementById('josephus-k').value);
+        if (isNaN(n) || isNaN(k) || n < 1 || n > 30 || k < 1) {
+            alert('Please enter n between 1 and 30 and k of at least 1');
+            return;
+        }
+
+        this.list = new LinkedList(this.isDoubly, true);
+        for (let i = 1; i <= n; i++) this.list.insertAtEnd(i);
+        this.updateVisualization();
+        const resultP = document.getElementById('josephus-result');
+        const eliminated = [];
+        let position = 0;
+
+        while (this.list.size() > 1) {
+            const size = this.list.size();
+            // Full laps around the circle land on the same person, so only
+            // the remainder is counted out
+            const count = (k - 1) % size + 1;
+            for (let step = 0; step < count; step++) {
+                this.highlightNode((position + step) % size);
+                resultP.textContent = count === k
+                    ? `Counting ${step + 1} of ${k}...`
+                    : `Counting ${step + 1} of ${count} (k = ${k} after skipping full laps of ${size})...`;
+                await Animations.sleep(this.animationSpeed / 2);
+            }
+            position = (position + count - 1) % size;
+            const node = document.querySelectorAll('.node-box')[position];
+            node.classList.add('eliminated');
+            await Animations.sleep(this.animationSpeed);
+
+            eliminated.push(this.list.deleteAtPosition(position));
+            resultP.textContent = `Eliminated: ${eliminated.join(', ')}`;
+            if (position === size - 1) position = 0;
+            this.updateVisualization();
+        }
+
+        const survivor = this.list.head ? this.list.head.data : null;
+        this.highlightNode(0);
+        resultP.textContent = `Elimination order: ${eliminated.join(', ') || '(none)'} - survivor: ${survivor}`;
+        this.updateComplexity();
+    }
+}
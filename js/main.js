@@ -32,8 +32,28 @@ document.addEventListener('DOMContentLoaded', function () {
     let currentStructure = null;
     let animationSpeed = 500;
 
+    // Visualizers read their speed on every animation, so the slider takes
+    // effect immediately instead of on the next reset
+    const visualizers = {
+        'stack': StackVisualizer,
+        'queue': QueueVisualizer,
+        'circular-queue': CircularQueueVisualizer,
+        'deque': DequeVisualizer,
+        'stack-queue': StackQueueVisualizer,
+        'singly-linked-list': LinkedListVisualizer,
+        'doubly-linked-list': LinkedListVisualizer,
+        'circular-singly-linked-list': LinkedListVisualizer,
+        'circular-doubly-linked-list': LinkedListVisualizer,
+        'bst': TreeVisualizer,
+        'red-black-tree': RedBlackVisualizer,
+        'heap': HeapVisualizer,
+        'scheduler': TaskScheduler
+    };
+
     speedSlider.addEventListener('input', function () {
         animationSpeed = parseInt(this.value);
+        const visualizer = visualizers[currentStructure];
+        if (visualizer) visualizer.animationSpeed = animationSpeed;
     });
 
     sidebarLinks.forEach(link => {
@@ -81,15 +101,30 @@ document.addEventListener('DOMContentLoaded', function () {
             case 'circular-queue':
                 CircularQueueVisualizer.init(visualizationArea, operationsDiv, timeComplexityP, spaceComplexityP, animationSpeed);
                 break;
+            case 'deque':
+                DequeVisualizer.init(visualizationArea, operationsDiv, timeComplexityP, spaceComplexityP, animationSpeed);
+                break;
+            case 'stack-queue':
+                StackQueueVisualizer.init(visualizationArea, operationsDiv, timeComplexityP, spaceComplexityP, animationSpeed);
+                break;
             case 'singly-linked-list':
                 LinkedListVisualizer.init(visualizationArea, operationsDiv, timeComplexityP, spaceComplexityP, animationSpeed, false);
                 break;
             case 'doubly-linked-list':
                 LinkedListVisualizer.init(visualizationArea, operationsDiv, timeComplexityP, spaceComplexityP, animationSpeed, true);
                 break;
+            case 'circular-singly-linked-list':
+                LinkedListVisualizer.init(visualizationArea, operationsDiv, timeComplexityP, spaceComplexityP, animationSpeed, false, true);
+                break;
+            case 'circular-doubly-linked-list':
+                LinkedListVisualizer.init(visualizationArea, operationsDiv, timeComplexityP, spaceComplexityP, animationSpeed, true, true);
+                break;
             case 'bst':
                 TreeVisualizer.init(visualizationArea, operationsDiv, timeComplexityP, spaceComplexityP, animationSpeed);
                 break;
+            case 'red-black-tree':
+                RedBlackVisualizer.init(visualizationArea, operationsDiv, timeComplexityP, spaceComplexityP, animationSpeed);
+                break;
             case 'heap':
                 HeapVisualizer.init(visualizationArea, operationsDiv, timeComplexityP, spaceComplexityP, animationSpeed);
                 break;
@@ -193,20 +228,20 @@ document.addEventListener('DOMContentLoaded', function () {
                 return window.QueueVisualizer && window.QueueVisualizer.queue ? window.QueueVisualizer.queue.items : [];
             case 'circular-queue':
                 return window.CircularQueueVisualizer && window.CircularQueueVisualizer.queue ? window.CircularQueueVisualizer.queue.items : [];
+            case 'deque':
+                return window.DequeVisualizer && window.DequeVisualizer.deque ? window.DequeVisualizer.deque.toArray() : [];
+            case 'stack-queue':
+                return window.StackQueueVisualizer && window.StackQueueVisualizer.structure ? window.StackQueueVisualizer.structure.toArray() : [];
             case 'singly-linked-list':
             case 'doubly-linked-list':
-                // LinkedListVisualizer might be a bit more complex to extract 'items' array from if it's node based.
-                // Assuming LinkedList structure has a specific way to traverse or an items array.
-                // Let's check LinkedListVisualizer implementation if needed, but for now safely return [] or try to extract.
-                // For the visualizer, assume we can traverse or it keeps an array.
-                // If LinkedListVisualizer keeps a list object, we might need a toArray() method.
-                // Inspecting linkedlist.js would be ideal, but for now let's hope it has an items array or similar.
-                // If not, we might need to modify linkedlist.js.
-                // Let's assume for this step we can get it or fail gracefully.
-                return window.LinkedListVisualizer && window.LinkedListVisualizer.list ? getLinkedListItems(window.LinkedListVisualizer.list) : [];
+            case 'circular-singly-linked-list':
+            case 'circular-doubly-linked-list':
+                return window.LinkedListVisualizer && window.LinkedListVisualizer.list ? window.LinkedListVisualizer.list.toArray() : [];
             case 'bst':
                 // Return root node
                 return window.TreeVisualizer && window.TreeVisualizer.tree ? window.TreeVisualizer.tree.root : null;
+            case 'red-black-tree':
+                return window.RedBlackVisualizer && window.RedBlackVisualizer.tree ? window.RedBlackVisualizer.tree.root : null;
             case 'heap':
                 return window.HeapVisualizer && window.HeapVisualizer.heap ? window.HeapVisualizer.heap.heap : [];
             case 'scheduler':
@@ -216,14 +251,4 @@ document.addEventListener('DOMContentLoaded', function () {
                 return null;
         }
     }
-
-    function getLinkedListItems(list) {
-        const items = [];
-        let current = list.head;
-        while (current) {
-            items.push(current.data);
-            current = current.next;
-        }
-        return items;
-    }
 });
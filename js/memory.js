@@ -0,0 +1,68 @@
+// memory.js - Simulated heap for drawing linked structures by address
+
+const MEMORY_COLUMNS = 6;
+
+// Every node object gets a fake address and a random free slot in a grid
+// the first time it is drawn, and keeps both for as long as it lives, so
+// the picture shows where nodes sit rather than the order they link in.
+class MemoryView {
+    static entryFor(node) {
+        if (!this.entries) {
+            this.entries = new WeakMap();
+            this.nextAddress = 0x1A40;
+        }
+        if (!this.entries.has(node)) {
+            this.entries.set(node, { address: this.nextAddress, slot: null });
+            // 16-byte aligned, with gaps as if other objects were allocated in between
+            this.nextAddress += 0x10 * (1 + Math.floor(Math.random() * 6));
+        }
+        return this.entries.get(node);
+    }
+
+    static address(node) {
+        if (!node) return 'null';
+        return '0x' + this.entryFor(node).address.toString(16).toUpperCase();
+    }
+
+    // Builds the heap grid in container and returns a Map of node -> cell.
+    // Cells are appended in the order given so index-based lookups still work.
+    static layout(container, nodes) {
+        const rows = Math.max(3, Math.ceil(nodes.length * 1.5 / MEMORY_COLUMNS));
+        const heap = document.createElement('div');
+        heap.className = 'memory-heap';
+        heap.style.gridTemplateColumns = `repeat(${MEMORY_COLUMNS}, 1fr)`;
+        heap.style.gridTemplateRows = `repeat(${rows}, auto)`;
+        container.appendChild(heap);
+
+        const used = new Set();
+        nodes.forEach(node => {
+            const entry = this.entryFor(node);
+            if (entry.slot !== null && entry.slot < rows * MEMORY_COLUMNS && !used.has(entry.slot)) {
+                used.add(entry.slot);
+            } else {
+                entry.slot = null;
+            }
+        });
+
+        const cells = new Map();
+        nodes.forEach(node => {
+            const entry = this.entryFor(node);
+            if (entry.slot === null) {
+                const free = [];
+                for (let slot = 0; slot < rows * MEMORY_COLUMNS; slot++) {
+                    if (!used.has(slot)) free.push(slot);
+                }
+                entry.slot = free[Math.floor(Math.random() * free.length)];
+                used.add(entry.slot);
+            }
+            const cell = document.createElement('div');
+            cell.className = 'memory-cell';
+            cell.style.gridRow = Math.floor(entry.slot / MEMORY_COLUMNS) + 1;
+            cell.style.gridColumn = entry.slot % MEMORY_COLUMNS + 1;
+            cell.innerHTML = `<div class="memory-address">${this.address(node)}</div>`;
+            heap.appendChild(cell);
+            cells.set(node, cell);
+        });
+        return cells;
+    }
+}
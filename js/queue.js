@@ -1,82 +1,310 @@
 // queue.js - Queue and Circular Queue visualizer
 
+// Elements live in `buffer` from index `head` on. Dequeue only advances
+// `head`; the consumed prefix is sliced off once it makes up half the
+// buffer, so every element is copied a constant number of times on average.
 class Queue {
     constructor() {
-        this.items = [];
+        this.buffer = [];
+        this.head = 0;
     }
 
     enqueue(element) {
-        this.items.push(element);
+        this.buffer.push(element);
     }
 
     dequeue() {
         if (this.isEmpty()) return null;
-        return this.items.shift();
+        const element = this.buffer[this.head];
+        this.buffer[this.head] = undefined;
+        this.head++;
+        if (this.head === this.buffer.length) {
+            this.clear();
+        } else if (this.head >= 32 && this.head * 2 >= this.buffer.length) {
+            this.buffer = this.buffer.slice(this.head);
+            this.head = 0;
+        }
+        return element;
     }
 
     front() {
         if (this.isEmpty()) return null;
-        return this.items[0];
+        return this.buffer[this.head];
     }
 
     isEmpty() {
-        return this.items.length === 0;
+        return this.size() === 0;
     }
 
     size() {
-        return this.items.length;
+        return this.buffer.length - this.head;
     }
 
     clear() {
+        this.buffer = [];
+        this.head = 0;
+    }
+
+    // Front to rear
+    toArray() {
+        return this.buffer.slice(this.head);
+    }
+
+    get items() {
+        return this.toArray();
+    }
+}
+
+// The original queue, whose dequeue shifts the whole array. Kept only so
+// the benchmark can compare against it.
+class ShiftQueue {
+    constructor() {
         this.items = [];
     }
+
+    enqueue(element) {
+        this.items.push(element);
+    }
+
+    dequeue() {
+        if (this.items.length === 0) return null;
+        return this.items.shift();
+    }
 }
 
+// Two ways to tell full from empty when front and rear chase each other:
+// 'count' keeps an element count so every slot is usable, while
+// 'wasted-slot' keeps `front` one slot behind the first element and never
+// fills the last free slot, so front === rear can only mean empty.
 class CircularQueue {
-    constructor(size) {
+    constructor(size, strategy = 'count') {
         this.size = size;
-        this.items = new Array(size);
-        this.front = -1;
-        this.rear = -1;
+        this.strategy = strategy;
+        this.clear();
     }
 
     enqueue(element) {
         if (this.isFull()) return false;
-        if (this.front === -1) this.front = 0;
         this.rear = (this.rear + 1) % this.size;
         this.items[this.rear] = element;
+        this.count++;
         return true;
     }
 
     dequeue() {
         if (this.isEmpty()) return null;
-        const element = this.items[this.front];
-        if (this.front === this.rear) {
-            this.front = -1;
-            this.rear = -1;
-        } else {
-            this.front = (this.front + 1) % this.size;
+        const index = this.firstIndex();
+        const element = this.items[index];
+        this.items[index] = undefined;
+        this.front = (this.front + 1) % this.size;
+        this.count--;
+        return element;
+    }
+
+    peek() {
+        if (this.isEmpty()) return null;
+        return this.items[this.firstIndex()];
+    }
+
+    // Slot holding the oldest element
+    firstIndex() {
+        return this.strategy === 'wasted-slot' ? (this.front + 1) % this.size : this.front;
+    }
+
+    isEmpty() {
+        return this.strategy === 'wasted-slot' ? this.front === this.rear : this.count === 0;
+    }
+
+    isFull() {
+        return this.strategy === 'wasted-slot'
+            ? (this.rear + 1) % this.size === this.front
+            : this.count === this.size;
+    }
+
+    capacity() {
+        return this.strategy === 'wasted-slot' ? this.size - 1 : this.size;
+    }
+
+    clear() {
+        this.items = new Array(this.size);
+        this.front = 0;
+        this.rear = this.strategy === 'wasted-slot' ? 0 : this.size - 1;
+        this.count = 0;
+    }
+
+    toArray() {
+        const arr = [];
+        for (let i = 0; i < this.count; i++) {
+            arr.push(this.items[(this.firstIndex() + i) % this.size]);
         }
+        return arr;
+    }
+}
+
+// Double-ended queue over a fixed-size circular array. `front` is the index
+// of the first element; the rear sits at (front + count - 1) % capacity.
+class CircularDeque {
+    constructor(capacity) {
+        this.capacity = capacity;
+        this.items = new Array(capacity);
+        this.front = 0;
+        this.count = 0;
+    }
+
+    rearIndex() {
+        return (this.front + this.count - 1 + this.capacity) % this.capacity;
+    }
+
+    pushFront(element) {
+        if (this.isFull()) return false;
+        this.front = (this.front - 1 + this.capacity) % this.capacity;
+        this.items[this.front] = element;
+        this.count++;
+        return true;
+    }
+
+    pushBack(element) {
+        if (this.isFull()) return false;
+        this.items[(this.front + this.count) % this.capacity] = element;
+        this.count++;
+        return true;
+    }
+
+    popFront() {
+        if (this.isEmpty()) return null;
+        const element = this.items[this.front];
+        this.items[this.front] = undefined;
+        this.front = (this.front + 1) % this.capacity;
+        this.count--;
         return element;
     }
 
-    front() {
+    popBack() {
+        if (this.isEmpty()) return null;
+        const rear = this.rearIndex();
+        const element = this.items[rear];
+        this.items[rear] = undefined;
+        this.count--;
+        return element;
+    }
+
+    peekFront() {
         if (this.isEmpty()) return null;
         return this.items[this.front];
     }
 
+    peekBack() {
+        if (this.isEmpty()) return null;
+        return this.items[this.rearIndex()];
+    }
+
     isEmpty() {
-        return this.front === -1;
+        return this.count === 0;
     }
 
     isFull() {
-        return (this.rear + 1) % this.size === this.front;
+        return this.count === this.capacity;
+    }
+
+    size() {
+        return this.count;
     }
 
     clear() {
-        this.items = new Array(this.size);
-        this.front = -1;
-        this.rear = -1;
+        this.items = new Array(this.capacity);
+        this.front = 0;
+        this.count = 0;
+    }
+
+    toArray() {
+        const arr = [];
+        for (let i = 0; i < this.count; i++) {
+            arr.push(this.items[(this.front + i) % this.capacity]);
+        }
+        return arr;
+    }
+}
+
+// Double-ended queue over doubly linked Node objects from linkedlist.js
+class LinkedDeque {
+    constructor() {
+        this.head = null;
+        this.tail = null;
+        this.count = 0;
+    }
+
+    pushFront(element) {
+        const node = new Node(element);
+        node.next = this.head;
+        if (this.head) this.head.prev = node;
+        else this.tail = node;
+        this.head = node;
+        this.count++;
+        return true;
+    }
+
+    pushBack(element) {
+        const node = new Node(element);
+        node.prev = this.tail;
+        if (this.tail) this.tail.next = node;
+        else this.head = node;
+        this.tail = node;
+        this.count++;
+        return true;
+    }
+
+    popFront() {
+        if (this.isEmpty()) return null;
+        const node = this.head;
+        this.head = node.next;
+        if (this.head) this.head.prev = null;
+        else this.tail = null;
+        this.count--;
+        return node.data;
+    }
+
+    popBack() {
+        if (this.isEmpty()) return null;
+        const node = this.tail;
+        this.tail = node.prev;
+        if (this.tail) this.tail.next = null;
+        else this.head = null;
+        this.count--;
+        return node.data;
+    }
+
+    peekFront() {
+        return this.isEmpty() ? null : this.head.data;
+    }
+
+    peekBack() {
+        return this.isEmpty() ? null : this.tail.data;
+    }
+
+    isEmpty() {
+        return this.count === 0;
+    }
+
+    isFull() {
+        return false;
+    }
+
+    size() {
+        return this.count;
+    }
+
+    clear() {
+        this.head = null;
+        this.tail = null;
+        this.count = 0;
+    }
+
+    toArray() {
+        const arr = [];
+        for (let current = this.head; current; current = current.next) {
+            arr.push(current.data);
+        }
+        return arr;
     }
 }
 
@@ -107,14 +335,21 @@ class QueueVisualizer {
             <button id="front-btn" class="tooltip">Front
                 <span class="tooltiptext">View front element - O(1)</span>
             </button>
+            <h4>Dequeue Benchmark</h4>
+            <input type="number" id="benchmark-size" value="40000" min="1000" max="100000" step="1000">
+            <button id="benchmark-btn" class="tooltip">Run Benchmark
+                <span class="tooltiptext">Enqueue then dequeue N items with Array.shift vs. a head index</span>
+            </button>
+            <p id="benchmark-status"></p>
         `;
 
         document.getElementById('enqueue-btn').addEventListener('click', () => this.enqueue());
         document.getElementById('dequeue-btn').addEventListener('click', () => this.dequeue());
         document.getElementById('front-btn').addEventListener('click', () => this.front());
+        document.getElementById('benchmark-btn').addEventListener('click', () => this.runBenchmark());
     }
 
-    static enqueue() {
+    static async enqueue() {
         const input = document.getElementById('queue-input');
         const value = input.value.trim();
         if (value === '') return;
@@ -123,16 +358,26 @@ class QueueVisualizer {
         input.value = '';  // Clear input after enqueue
         this.updateVisualization();
         this.updateComplexity();
+
+        const cells = this.visualizationArea.querySelectorAll('.queue-cell');
+        await Animations.slideIn(cells[cells.length - 1], 90, this.animationSpeed);
     }
 
+    // The front cell slides out while the rest shift one cell left; the
+    // queue itself only changes once the motion is done.
     static async dequeue() {
         if (this.queue.isEmpty()) {
             alert('Queue is empty!');
             return;
         }
 
+        const [first, ...rest] = this.visualizationArea.querySelectorAll('.queue-cell');
+        await Promise.all([
+            Animations.slideOut(first, -90, 0, this.animationSpeed),
+            Animations.animateQueueShift(rest, 'left', this.animationSpeed)
+        ]);
         const dequeuedElement = this.queue.dequeue();
-        await this.updateVisualization();
+        this.updateVisualization();
         this.updateComplexity();
         alert(`Dequeued: ${dequeuedElement}`);
     }
@@ -147,32 +392,114 @@ class QueueVisualizer {
         this.updateComplexity();
     }
 
-    static async updateVisualization() {
+    static updateVisualization() {
         this.visualizationArea.innerHTML = '<div class="queue"></div>';
         const queueDiv = this.visualizationArea.querySelector('.queue');
+        const items = this.queue.toArray();
+
+        items.forEach((item, i) => {
+            const cell = document.createElement('div');
+            cell.className = 'queue-cell';
+            const label = document.createElement('span');
+            label.className = 'queue-label';
+            const labels = [];
+            if (i === 0) labels.push('front');
+            if (i === items.length - 1) labels.push('rear');
+            label.textContent = labels.join(' / ');
 
-        for (let item of this.queue.items) {
             const itemDiv = document.createElement('div');
             itemDiv.className = 'queue-item';
             itemDiv.textContent = item;
-            queueDiv.appendChild(itemDiv);
-        }
+            cell.append(label, itemDiv);
+            queueDiv.appendChild(cell);
+        });
     }
 
     static updateComplexity() {
-        this.timeComplexityP.textContent = 'Time Complexity: O(1) for Enqueue, Dequeue, Front';
+        this.timeComplexityP.textContent = 'Time Complexity: O(1) for Enqueue, Dequeue (amortized), Front';
         this.spaceComplexityP.textContent = 'Space Complexity: O(n)';
     }
+
+    // Times a fill-then-drain workload at a few sizes up to N for both
+    // queues. Sizes run one at a time with a pause so the page can repaint.
+    static async runBenchmark() {
+        const n = parseInt(document.getElementById('benchmark-size').value);
+        if (isNaN(n) || n < 1000 || n > 100000) {
+            alert('Please enter N between 1000 and 100000');
+            return;
+        }
+        const statusP = document.getElementById('benchmark-status');
+        const button = document.getElementById('benchmark-btn');
+        button.disabled = true;
+
+        const results = [];
+        for (const size of [n / 4, n / 2, (3 * n) / 4, n].map(Math.round)) {
+            statusP.textContent = `Running N = ${size}...`;
+            await Animations.sleep(50);
+            results.push({
+                size,
+                shift: this.timeWorkload(new ShiftQueue(), size),
+                head: this.timeWorkload(new Queue(), size)
+            });
+        }
+
+        button.disabled = false;
+        const last = results[results.length - 1];
+        statusP.textContent = `N = ${last.size}: Array.shift ${last.shift.toFixed(1)} ms, head index ${last.head.toFixed(1)} ms`;
+        this.drawBenchmark(results);
+    }
+
+    static timeWorkload(queue, size) {
+        const start = performance.now();
+        for (let i = 0; i < size; i++) queue.enqueue(i);
+        for (let i = 0; i < size; i++) queue.dequeue();
+        return performance.now() - start;
+    }
+
+    static drawBenchmark(results) {
+        const width = 600;
+        const height = 300;
+        const pad = 50;
+        const maxX = results[results.length - 1].size;
+        const maxY = Math.max(...results.map(r => Math.max(r.shift, r.head)), 1);
+        const x = size => pad + (size / maxX) * (width - 2 * pad);
+        const y = ms => height - pad - (ms / maxY) * (height - 2 * pad);
+        const line = key => results.map(r => `${x(r.size)},${y(r[key])}`).join(' ');
+        const dots = (key, color) => results.map(r =>
+            `<circle cx="${x(r.size)}" cy="${y(r[key])}" r="4" fill="${color}"><title>N=${r.size}: ${r[key].toFixed(1)} ms</title></circle>`).join('');
+        const ticks = results.map(r =>
+            `<text x="${x(r.size)}" y="${height - pad + 18}" text-anchor="middle">${r.size}</text>`).join('');
+
+        this.visualizationArea.innerHTML = `
+            <div class="benchmark-view">
+                <svg viewBox="0 0 ${width} ${height}" class="benchmark-chart">
+                    <line x1="${pad}" y1="${height - pad}" x2="${width - pad}" y2="${height - pad}" class="axis"></line>
+                    <line x1="${pad}" y1="${pad}" x2="${pad}" y2="${height - pad}" class="axis"></line>
+                    <text x="${pad - 8}" y="${pad}" text-anchor="end">${maxY.toFixed(0)} ms</text>
+                    <text x="${pad - 8}" y="${height - pad}" text-anchor="end">0</text>
+                    ${ticks}
+                    <text x="${width / 2}" y="${height - 8}" text-anchor="middle">N (enqueue N, then dequeue N)</text>
+                    <polyline points="${line('shift')}" fill="none" stroke="#dc3545" stroke-width="2"></polyline>
+                    <polyline points="${line('head')}" fill="none" stroke="#28a745" stroke-width="2"></polyline>
+                    ${dots('shift', '#dc3545')}
+                    ${dots('head', '#28a745')}
+                </svg>
+                <p><span style="color: #dc3545;">&#9632;</span> Array.shift queue (O(n) per dequeue)
+                   &nbsp; <span style="color: #28a745;">&#9632;</span> Head-index queue (O(1) per dequeue)</p>
+            </div>
+        `;
+    }
 }
 
 class CircularQueueVisualizer {
     static init(visualizationArea, operationsDiv, timeComplexityP, spaceComplexityP, animationSpeed) {
-        this.queue = new CircularQueue(5); // Fixed size for visualization
+        this.queue = new CircularQueue(5);
         this.visualizationArea = visualizationArea;
         this.operationsDiv = operationsDiv;
         this.timeComplexityP = timeComplexityP;
         this.spaceComplexityP = spaceComplexityP;
         this.animationSpeed = animationSpeed;
+        this.pointerAngles = {};
 
         this.setupUI();
         this.updateVisualization();
@@ -182,7 +509,13 @@ class CircularQueueVisualizer {
     static setupUI() {
         this.operationsDiv.innerHTML = `
             <h3>Circular Queue Operations</h3>
-            <p>Size: 5</p>
+            <label>Size <input type="number" id="cqueue-size" value="${this.queue.size}" min="2" max="16"></label>
+            <select id="cqueue-strategy">
+                <option value="count">Count-based full/empty</option>
+                <option value="wasted-slot">Wasted-slot full/empty</option>
+            </select>
+            <button id="cqueue-apply-btn">Apply</button>
+            <br>
             <input type="text" id="cqueue-input" placeholder="Enter value">
             <button id="cenqueue-btn" class="tooltip">Enqueue
                 <span class="tooltiptext">Add element to rear - O(1)</span>
@@ -193,42 +526,94 @@ class CircularQueueVisualizer {
             <button id="cfront-btn" class="tooltip">Front
                 <span class="tooltiptext">View front element - O(1)</span>
             </button>
+            <p id="cqueue-arith" class="trace-action">front = ${this.queue.front}, rear = ${this.queue.rear}</p>
         `;
 
+        document.getElementById('cqueue-apply-btn').addEventListener('click', () => this.rebuild());
         document.getElementById('cenqueue-btn').addEventListener('click', () => this.enqueue());
         document.getElementById('cdequeue-btn').addEventListener('click', () => this.dequeue());
         document.getElementById('cfront-btn').addEventListener('click', () => this.front());
     }
 
+    // New size or strategy; the elements are re-enqueued oldest first
+    static rebuild() {
+        const size = parseInt(document.getElementById('cqueue-size').value);
+        const strategy = document.getElementById('cqueue-strategy').value;
+        if (isNaN(size) || size < 2 || size > 16) {
+            alert('Size must be between 2 and 16');
+            return;
+        }
+        const queue = new CircularQueue(size, strategy);
+        const items = this.queue.toArray();
+        if (items.length > queue.capacity()) {
+            alert(`The queue holds ${items.length} items but this layout only fits ${queue.capacity()}`);
+            return;
+        }
+        items.forEach(item => queue.enqueue(item));
+        this.queue = queue;
+        this.pointerAngles = {};
+        this.showArithmetic(strategy === 'wasted-slot'
+            ? `Wasted-slot: front sits one slot before the first element; usable capacity is size - 1 = ${queue.capacity()}`
+            : `Count-based: a count field tells full from empty; all ${size} slots are usable`);
+        this.updateVisualization();
+        this.updateComplexity();
+    }
+
+    static showArithmetic(text) {
+        document.getElementById('cqueue-arith').textContent = text;
+    }
+
+    static fullCheck() {
+        const q = this.queue;
+        return q.strategy === 'wasted-slot'
+            ? `(rear + 1) % size = (${q.rear} + 1) % ${q.size} = ${(q.rear + 1) % q.size}, front = ${q.front}`
+            : `count = ${q.count}, size = ${q.size}`;
+    }
+
     static async enqueue() {
         const input = document.getElementById('cqueue-input');
         const value = input.value.trim();
         if (value === '') return;
 
-        if (!this.queue.enqueue(value)) {
+        if (this.queue.isFull()) {
+            this.showArithmetic(`Full: ${this.fullCheck()}`);
             alert('Queue is full!');
             return;
         }
 
-        await this.updateVisualization();
+        const oldRear = this.queue.rear;
+        this.queue.enqueue(value);
+        this.showArithmetic(`rear = (rear + 1) % size = (${oldRear} + 1) % ${this.queue.size} = ${this.queue.rear}; items[${this.queue.rear}] = ${value}`);
+        this.updateVisualization();
         this.updateComplexity();
         input.value = '';
+        const slot = this.visualizationArea.querySelector(`.ring-slot[data-index="${this.queue.rear}"] .queue-item`);
+        await Animations.slideIn(slot, 0, this.animationSpeed);
     }
 
     static async dequeue() {
         if (this.queue.isEmpty()) {
+            const check = this.queue.strategy === 'wasted-slot'
+                ? `front = rear = ${this.queue.front}`
+                : `count = 0`;
+            this.showArithmetic(`Empty: ${check}`);
             alert('Queue is empty!');
             return;
         }
 
+        const index = this.queue.firstIndex();
+        const slot = this.visualizationArea.querySelector(`.ring-slot[data-index="${index}"] .queue-item`);
+        await Animations.slideOut(slot, 0, 0, this.animationSpeed);
+        const oldFront = this.queue.front;
         const dequeuedElement = this.queue.dequeue();
-        await this.updateVisualization();
+        this.showArithmetic(`front = (front + 1) % size = (${oldFront} + 1) % ${this.queue.size} = ${this.queue.front}; removed items[${index}]`);
+        this.updateVisualization();
         this.updateComplexity();
         alert(`Dequeued: ${dequeuedElement}`);
     }
 
     static front() {
-        const frontElement = this.queue.front();
+        const frontElement = this.queue.peek();
         if (frontElement === null) {
             alert('Queue is empty!');
         } else {
@@ -237,48 +622,292 @@ class CircularQueueVisualizer {
         this.updateComplexity();
     }
 
+    // Slots sit on a circle, index 0 at the top, going clockwise
     static updateVisualization() {
-        this.visualizationArea.innerHTML = '<div class="queue"></div>';
-        const queueDiv = this.visualizationArea.querySelector('.queue');
+        const q = this.queue;
+        const radius = Math.max(110, q.size * 16);
+        const half = radius + 70;
+        this.visualizationArea.innerHTML = `
+            <div class="ring-view">
+                <div class="ring" style="width: ${half * 2}px; height: ${half * 2}px;">
+                    <div class="ring-center">front = ${q.front}<br>rear = ${q.rear}<br>${q.strategy === 'wasted-slot' ? '' : `count = ${q.count}`}</div>
+                </div>
+            </div>
+        `;
+        const ring = this.visualizationArea.querySelector('.ring');
+        const first = q.firstIndex();
+
+        for (let i = 0; i < q.size; i++) {
+            const angle = this.slotAngle(i);
+            const rad = angle * Math.PI / 180;
+            const slot = document.createElement('div');
+            slot.className = 'ring-slot';
+            slot.dataset.index = i;
+            slot.style.left = `${half + radius * Math.cos(rad)}px`;
+            slot.style.top = `${half + radius * Math.sin(rad)}px`;
 
-        for (let i = 0; i < this.queue.size; i++) {
             const itemDiv = document.createElement('div');
             itemDiv.className = 'queue-item';
-            
-            // Check if this position is part of the active queue
-            let isActive = false;
-            if (!this.queue.isEmpty()) {
-                if (this.queue.front <= this.queue.rear) {
-                    // Normal case: front <= rear
-                    isActive = (i >= this.queue.front && i <= this.queue.rear);
+            const offset = (i - first + q.size) % q.size;
+            if (offset < q.count) {
+                itemDiv.textContent = q.items[i];
+            } else {
+                itemDiv.classList.add('empty-slot');
+            }
+            if (!q.isEmpty() && i === first) itemDiv.classList.add('queue-front');
+            if (!q.isEmpty() && i === q.rear) itemDiv.classList.add('queue-rear');
+            if (q.strategy === 'wasted-slot' && i === q.front) itemDiv.classList.add('wasted-slot');
+
+            const index = document.createElement('span');
+            index.className = 'ring-index';
+            index.textContent = i;
+            index.style.left = `${half + (radius + 55) * Math.cos(rad)}px`;
+            index.style.top = `${half + (radius + 55) * Math.sin(rad)}px`;
+
+            slot.appendChild(itemDiv);
+            ring.append(slot, index);
+        }
+
+        this.placePointer(ring, 'front', q.front, half, radius - 45);
+        this.placePointer(ring, 'rear', q.rear, half, radius - 70);
+    }
+
+    static slotAngle(index) {
+        return -90 + index * 360 / this.queue.size;
+    }
+
+    // Pointers only ever advance, so they always turn clockwise from their
+    // last angle; a wrap from the last slot to 0 keeps turning forward.
+    static placePointer(ring, name, index, half, length) {
+        const target = this.slotAngle(index);
+        const previous = this.pointerAngles[name];
+        let angle = target;
+        if (previous !== undefined) {
+            angle = previous + ((target - previous) % 360 + 360) % 360;
+        }
+
+        const pointer = document.createElement('div');
+        pointer.className = `ring-pointer ${name}-pointer`;
+        pointer.style.left = `${half}px`;
+        pointer.style.top = `${half}px`;
+        pointer.style.width = `${length}px`;
+        pointer.innerHTML = `<span>${name}</span>`;
+        pointer.style.transform = `rotate(${previous === undefined ? angle : previous}deg)`;
+        ring.appendChild(pointer);
+
+        pointer.getBoundingClientRect();
+        pointer.style.transition = `transform ${this.animationSpeed}ms ease`;
+        pointer.style.transform = `rotate(${angle}deg)`;
+        this.pointerAngles[name] = angle;
+    }
+
+    static updateComplexity() {
+        this.timeComplexityP.textContent = 'Time Complexity: O(1) for Enqueue, Dequeue, Front';
+        this.spaceComplexityP.textContent = `Space Complexity: O(n) - ${this.queue.size} slots, ${this.queue.capacity()} usable`;
+    }
+}
+
+class DequeVisualizer {
+    static init(visualizationArea, operationsDiv, timeComplexityP, spaceComplexityP, animationSpeed) {
+        this.backing = 'array';
+        this.capacity = 8;
+        this.deque = new CircularDeque(this.capacity);
+        this.visualizationArea = visualizationArea;
+        this.operationsDiv = operationsDiv;
+        this.timeComplexityP = timeComplexityP;
+        this.spaceComplexityP = spaceComplexityP;
+        this.animationSpeed = animationSpeed;
+        this.markerPositions = {};
+
+        this.setupUI();
+        this.updateVisualization();
+        this.updateComplexity();
+    }
+
+    static setupUI() {
+        this.operationsDiv.innerHTML = `
+            <h3>Deque Operations</h3>
+            <select id="deque-backing">
+                <option value="array">Circular Array</option>
+                <option value="linked">Doubly Linked List</option>
+            </select>
+            <input type="number" id="deque-capacity" value="${this.capacity}" min="2" max="16" title="Capacity (circular array only)">
+            <br>
+            <input type="text" id="deque-input" placeholder="Enter value">
+            <button id="push-front-btn" class="tooltip">Push Front
+                <span class="tooltiptext">Add element before the front - O(1)</span>
+            </button>
+            <button id="push-back-btn" class="tooltip">Push Back
+                <span class="tooltiptext">Add element after the rear - O(1)</span>
+            </button>
+            <button id="pop-front-btn" class="tooltip">Pop Front
+                <span class="tooltiptext">Remove the front element - O(1)</span>
+            </button>
+            <button id="pop-back-btn" class="tooltip">Pop Back
+                <span class="tooltiptext">Remove the rear element - O(1)</span>
+            </button>
+            <button id="peek-front-btn" class="tooltip">Peek Front
+                <span class="tooltiptext">View the front element - O(1)</span>
+            </button>
+            <button id="peek-back-btn" class="tooltip">Peek Back
+                <span class="tooltiptext">View the rear element - O(1)</span>
+            </button>
+        `;
+
+        document.getElementById('deque-backing').addEventListener('change', (e) => this.rebuild(e.target.value, this.capacity));
+        document.getElementById('deque-capacity').addEventListener('change', (e) => this.rebuild(this.backing, parseInt(e.target.value)));
+        document.getElementById('push-front-btn').addEventListener('click', () => this.push('front'));
+        document.getElementById('push-back-btn').addEventListener('click', () => this.push('back'));
+        document.getElementById('pop-front-btn').addEventListener('click', () => this.pop('front'));
+        document.getElementById('pop-back-btn').addEventListener('click', () => this.pop('back'));
+        document.getElementById('peek-front-btn').addEventListener('click', () => this.peek('front'));
+        document.getElementById('peek-back-btn').addEventListener('click', () => this.peek('back'));
+    }
+
+    // Switches backing or capacity, carrying the current contents over
+    static rebuild(backing, capacity) {
+        if (isNaN(capacity) || capacity < 2 || capacity > 16) {
+            alert('Capacity must be between 2 and 16');
+            document.getElementById('deque-capacity').value = this.capacity;
+            return;
+        }
+        const items = this.deque.toArray();
+        if (backing === 'array' && items.length > capacity) {
+            alert(`The deque holds ${items.length} items; that does not fit in ${capacity} slots`);
+            document.getElementById('deque-capacity').value = this.capacity;
+            return;
+        }
+
+        this.backing = backing;
+        this.capacity = capacity;
+        this.deque = backing === 'linked' ? new LinkedDeque() : new CircularDeque(capacity);
+        items.forEach(item => this.deque.pushBack(item));
+        document.getElementById('deque-capacity').disabled = backing === 'linked';
+        this.markerPositions = {};
+        this.updateVisualization();
+        this.updateComplexity();
+    }
+
+    static push(end) {
+        const input = document.getElementById('deque-input');
+        const value = input.value.trim();
+        if (value === '') return;
+
+        const pushed = end === 'front' ? this.deque.pushFront(value) : this.deque.pushBack(value);
+        if (!pushed) {
+            alert('Deque is full!');
+            return;
+        }
+        input.value = '';
+        this.updateVisualization(end);
+        this.updateComplexity();
+    }
+
+    static async pop(end) {
+        if (this.deque.isEmpty()) {
+            alert('Deque is empty!');
+            return;
+        }
+
+        const element = this.visualizationArea.querySelector(end === 'front' ? '.deque-front' : '.deque-rear');
+        if (element) {
+            element.classList.add('highlight');
+            await Animations.sleep(this.animationSpeed / 2);
+        }
+        const removed = end === 'front' ? this.deque.popFront() : this.deque.popBack();
+        this.updateVisualization();
+        this.updateComplexity();
+        alert(`Popped from ${end}: ${removed}`);
+    }
+
+    static async peek(end) {
+        const value = end === 'front' ? this.deque.peekFront() : this.deque.peekBack();
+        if (value === null) {
+            alert('Deque is empty!');
+            return;
+        }
+        const element = this.visualizationArea.querySelector(end === 'front' ? '.deque-front' : '.deque-rear');
+        if (element) await Animations.highlightElement(element, this.animationSpeed);
+        this.updateComplexity();
+        alert(`${end === 'front' ? 'Front' : 'Back'} element: ${value}`);
+    }
+
+    // `added` names the end that just received an element so it can fade in
+    static updateVisualization(added = null) {
+        this.visualizationArea.innerHTML = '<div class="deque-view"><div class="deque-row"></div></div>';
+        const row = this.visualizationArea.querySelector('.deque-row');
+        let frontEl = null;
+        let rearEl = null;
+
+        if (this.backing === 'array') {
+            const rear = this.deque.rearIndex();
+            for (let i = 0; i < this.deque.capacity; i++) {
+                const cell = document.createElement('div');
+                cell.className = 'deque-cell';
+                const itemDiv = document.createElement('div');
+                itemDiv.className = 'queue-item';
+                const offset = (i - this.deque.front + this.deque.capacity) % this.deque.capacity;
+                if (offset < this.deque.count) {
+                    itemDiv.textContent = this.deque.items[i];
                 } else {
-                    // Wrapped case: front > rear
-                    isActive = (i >= this.queue.front || i <= this.queue.rear);
+                    itemDiv.classList.add('empty-slot');
                 }
+                const index = document.createElement('span');
+                index.className = 'cell-index';
+                index.textContent = i;
+                cell.append(itemDiv, index);
+                row.appendChild(cell);
+                if (!this.deque.isEmpty() && i === this.deque.front) frontEl = itemDiv;
+                if (!this.deque.isEmpty() && i === rear) rearEl = itemDiv;
             }
-            
-            if (isActive && this.queue.items[i] !== undefined) {
-                itemDiv.textContent = this.queue.items[i];
-            } else {
-                itemDiv.textContent = '';
-                itemDiv.style.backgroundColor = 'transparent';
-                itemDiv.style.border = '1px dashed var(--border-color)';
+        } else {
+            const values = this.deque.toArray();
+            values.forEach((value, i) => {
+                const itemDiv = document.createElement('div');
+                itemDiv.className = 'queue-item';
+                itemDiv.textContent = value;
+                const cell = document.createElement('div');
+                cell.className = 'deque-cell';
+                cell.appendChild(itemDiv);
+                row.appendChild(cell);
+                if (i < values.length - 1) {
+                    const arrow = document.createElement('div');
+                    arrow.className = 'double-arrow';
+                    arrow.textContent = '⇄';
+                    row.appendChild(arrow);
+                }
+                if (i === 0) frontEl = itemDiv;
+                if (i === values.length - 1) rearEl = itemDiv;
+            });
+            if (values.length === 0) {
+                row.innerHTML = '<p class="empty-message">Deque is empty (head = tail = null)</p>';
             }
-            queueDiv.appendChild(itemDiv);
         }
 
-        // Add front and rear pointers
-        const items = queueDiv.querySelectorAll('.queue-item');
-        if (!this.queue.isEmpty()) {
-            items[this.queue.front].style.borderColor = 'green';
-            items[this.queue.front].style.borderWidth = '3px';
-            items[this.queue.rear].style.borderColor = 'red';
-            items[this.queue.rear].style.borderWidth = '3px';
+        if (frontEl) frontEl.classList.add('deque-front');
+        if (rearEl) rearEl.classList.add('deque-rear');
+        const addedEl = added === 'front' ? frontEl : added === 'back' ? rearEl : null;
+        if (addedEl) addedEl.classList.add('fade-in');
+
+        this.placeMarker(row, 'front', frontEl);
+        this.placeMarker(row, 'rear', rearEl);
+    }
+
+    // Markers start where they were last drawn and glide to their new cell
+    static placeMarker(row, name, target) {
+        if (!target) {
+            delete this.markerPositions[name];
+            return;
         }
+        const x = target.offsetLeft + target.offsetWidth / 2;
+        Animations.placeMarker(row, `${name}-marker`, `${name} ▼`, x, this.markerPositions[name], this.animationSpeed);
+        this.markerPositions[name] = x;
     }
 
     static updateComplexity() {
-        this.timeComplexityP.textContent = 'Time Complexity: O(1) for Enqueue, Dequeue, Front';
-        this.spaceComplexityP.textContent = 'Space Complexity: O(n)';
+        this.timeComplexityP.textContent = 'Time Complexity: O(1) for Push/Pop/Peek at either end';
+        this.spaceComplexityP.textContent = this.backing === 'array'
+            ? `Space Complexity: O(capacity) = ${this.capacity} slots`
+            : 'Space Complexity: O(n), plus prev and next pointers per node';
     }
-}
\ No newline at end of file
+}
@@ -0,0 +1,352 @@
+// redblack.js - Red-black tree visualizer
+
+// Red-black tree on plain TreeNodes with `color` and `parent` added and
+// null for the black leaves. Each recoloring or rotation of the fix-ups is
+// recorded in `steps` as a narrated snapshot of links and colors.
+class RedBlackTree {
+    constructor() {
+        this.root = null;
+        this.steps = [];
+    }
+
+    static isRed(node) {
+        return node !== null && node.color === 'red';
+    }
+
+    _snapshot(label) {
+        const links = new Map();
+        const colors = new Map();
+        const visit = node => {
+            if (!node) return;
+            links.set(node, { left: node.left, right: node.right });
+            colors.set(node, node.color);
+            visit(node.left);
+            visit(node.right);
+        };
+        visit(this.root);
+        this.steps.push({ label, root: this.root, links, colors });
+    }
+
+    // direction 'left' lifts node.right into node's place, 'right' lifts node.left
+    _rotate(node, direction) {
+        const opposite = direction === 'left' ? 'right' : 'left';
+        const pivot = node[opposite];
+        node[opposite] = pivot[direction];
+        if (pivot[direction]) pivot[direction].parent = node;
+        this._transplant(node, pivot);
+        pivot[direction] = node;
+        node.parent = pivot;
+    }
+
+    // Puts replacement where node hangs from its parent (or at the root)
+    _transplant(node, replacement) {
+        if (!node.parent) this.root = replacement;
+        else if (node === node.parent.left) node.parent.left = replacement;
+        else node.parent.right = replacement;
+        if (replacement) replacement.parent = node.parent;
+    }
+
+    find(data) {
+        let node = this.root;
+        while (node && node.data !== data) {
+            node = data < node.data ? node.left : node.right;
+        }
+        return node;
+    }
+
+    insert(data) {
+        this.steps = [];
+        let parent = null;
+        let node = this.root;
+        while (node) {
+            if (data === node.data) return false;
+            parent = node;
+            node = data < node.data ? node.left : node.right;
+        }
+        const created = new TreeNode(data);
+        created.color = 'red';
+        created.parent = parent;
+        if (!parent) this.root = created;
+        else if (data < parent.data) parent.left = created;
+        else parent.right = created;
+        this._snapshot(`Insert ${data} as a red leaf`);
+        this._fixInsert(created);
+        return true;
+    }
+
+    _fixInsert(node) {
+        while (RedBlackTree.isRed(node.parent)) {
+            const parent = node.parent;
+            const grandparent = parent.parent;
+            const side = parent === grandparent.left ? 'left' : 'right';
+            const other = side === 'left' ? 'right' : 'left';
+            const uncle = grandparent[other];
+
+            if (RedBlackTree.isRed(uncle)) {
+                parent.color = 'black';
+                uncle.color = 'black';
+                grandparent.color = 'red';
+                this._snapshot(`Case 1: parent ${parent.data} and uncle ${uncle.data} are red - recolor them black and grandparent ${grandparent.data} red, then continue from ${grandparent.data}`);
+                node = grandparent;
+                continue;
+            }
+            if (node === parent[other]) {
+                this._rotate(parent, side);
+                this._snapshot(`Case 2: ${node.data} is an inner grandchild with a black uncle - rotate ${side} at parent ${parent.data}`);
+                node = parent;
+            }
+            node.parent.color = 'black';
+            grandparent.color = 'red';
+            this._rotate(grandparent, other);
+            this._snapshot(`Case 3: outer grandchild with a black uncle - recolor ${node.parent.data} black and ${grandparent.data} red, rotate ${other} at ${grandparent.data}`);
+        }
+        if (this.root.color === 'red') {
+            this.root.color = 'black';
+            this._snapshot('The root is always black - recolor it');
+        }
+    }
+
+    delete(data) {
+        this.steps = [];
+        const node = this.find(data);
+        if (!node) return false;
+
+        // removedColor is the color taken out of the tree; child and
+        // childParent mark where a missing black would have to be repaired
+        let removedColor = node.color;
+        let child;
+        let childParent;
+        if (!node.left || !node.right) {
+            child = node.left || node.right;
+            childParent = node.parent;
+            this._transplant(node, child);
+            this._snapshot(`Remove ${data}, which has at most one child`);
+        } else {
+            let successor = node.right;
+            while (successor.left) successor = successor.left;
+            removedColor = successor.color;
+            child = successor.right;
+            if (successor.parent === node) {
+                childParent = successor;
+            } else {
+                childParent = successor.parent;
+                this._transplant(successor, successor.right);
+                successor.right = node.right;
+                successor.right.parent = successor;
+            }
+            this._transplant(node, successor);
+            successor.left = node.left;
+            successor.left.parent = successor;
+            successor.color = node.color;
+            this._snapshot(`Replace ${data} with its in-order successor ${successor.data}, keeping ${data}'s color`);
+        }
+
+        if (removedColor === 'black') this._fixDelete(child, childParent);
+        return true;
+    }
+
+    // `node` carries an extra black (it may be null); push it up or resolve
+    // it with the sibling's help.
+    _fixDelete(node, parent) {
+        while (node !== this.root && !RedBlackTree.isRed(node)) {
+            const side = node === parent.left ? 'left' : 'right';
+            const other = side === 'left' ? 'right' : 'left';
+            let sibling = parent[other];
+            const here = node ? node.data : 'the removed spot';
+
+            if (RedBlackTree.isRed(sibling)) {
+                sibling.color = 'black';
+                parent.color = 'red';
+                this._rotate(parent, side);
+                this._snapshot(`Case 1: sibling ${sibling.data} is red - recolor it black and ${parent.data} red, rotate ${side} at ${parent.data}`);
+                sibling = parent[other];
+            }
+            if (!RedBlackTree.isRed(sibling.left) && !RedBlackTree.isRed(sibling.right)) {
+                sibling.color = 'red';
+                this._snapshot(`Case 2: sibling ${sibling.data} has two black children - recolor it red and move the extra black from ${here} up to ${parent.data}`);
+                node = parent;
+                parent = node.parent;
+                continue;
+            }
+            if (!RedBlackTree.isRed(sibling[other])) {
+                sibling[side].color = 'black';
+                sibling.color = 'red';
+                this._rotate(sibling, other);
+                this._snapshot(`Case 3: sibling's far child is black - recolor and rotate ${other} at sibling ${sibling.data}`);
+                sibling = parent[other];
+            }
+            sibling.color = parent.color;
+            parent.color = 'black';
+            sibling[other].color = 'black';
+            this._rotate(parent, side);
+            this._snapshot(`Case 4: sibling's far child is red - sibling ${sibling.data} takes ${parent.data}'s color, rotate ${side} at ${parent.data}; the extra black is gone`);
+            node = this.root;
+        }
+        if (RedBlackTree.isRed(node)) {
+            node.color = 'black';
+            this._snapshot(`${node.data} is red - color it black to absorb the extra black`);
+        }
+    }
+
+    preorder(callback, node = this.root) {
+        if (!node) return;
+        callback(node);
+        this.preorder(callback, node.left);
+        this.preorder(callback, node.right);
+    }
+
+    // Checks every red-black property and returns the black height (counting
+    // the null leaves) along with a list of the violations found.
+    validate() {
+        const errors = [];
+        if (RedBlackTree.isRed(this.root)) errors.push('root is red');
+
+        const check = (node, low, high) => {
+            if (!node) return 1;
+            if ((low !== null && node.data <= low) || (high !== null && node.data >= high)) {
+                errors.push(`${node.data} breaks the search order`);
+            }
+            [node.left, node.right].forEach(child => {
+                if (child && child.parent !== node) errors.push(`${child.data} has the wrong parent pointer`);
+                if (child && RedBlackTree.isRed(node) && RedBlackTree.isRed(child)) {
+                    errors.push(`red ${node.data} has red child ${child.data}`);
+                }
+            });
+            const left = check(node.left, low, node.data);
+            const right = check(node.right, node.data, high);
+            if (left !== right) errors.push(`black heights differ below ${node.data} (${left} vs ${right})`);
+            return Math.max(left, right) + (node.color === 'black' ? 1 : 0);
+        };
+        const blackHeight = check(this.root, null, null);
+        return { valid: errors.length === 0, blackHeight, errors };
+    }
+}
+
+class RedBlackVisualizer {
+    static init(visualizationArea, operationsDiv, timeComplexityP, spaceComplexityP, animationSpeed) {
+        this.tree = new RedBlackTree();
+        this.visualizationArea = visualizationArea;
+        this.operationsDiv = operationsDiv;
+        this.timeComplexityP = timeComplexityP;
+        this.spaceComplexityP = spaceComplexityP;
+        this.animationSpeed = animationSpeed;
+
+        this.setupUI();
+        this.updateVisualization();
+        this.updateComplexity();
+    }
+
+    static setupUI() {
+        this.operationsDiv.innerHTML = `
+            <h3>Red-Black Tree Operations</h3>
+            <input type="number" id="rb-value" placeholder="Enter number">
+            <button id="rb-insert-btn" class="tooltip">Insert
+                <span class="tooltiptext">BST insert as red, then at most 2 rotations - O(log n)</span>
+            </button>
+            <button id="rb-delete-btn" class="tooltip">Delete
+                <span class="tooltiptext">BST delete, then at most 3 rotations - O(log n)</span>
+            </button>
+            <button id="rb-sorted-btn" class="tooltip">Insert 1..10
+                <span class="tooltiptext">Sorted input that would degrade a plain BST</span>
+            </button>
+            <p id="rb-validation"></p>
+            <h4>Fix-up Steps</h4>
+            <ol id="rb-log"></ol>
+        `;
+
+        document.getElementById('rb-insert-btn').addEventListener('click', () => this.insert());
+        document.getElementById('rb-delete-btn').addEventListener('click', () => this.delete());
+        document.getElementById('rb-sorted-btn').addEventListener('click', () => this.insertSorted());
+    }
+
+    static readValue() {
+        const input = document.getElementById('rb-value');
+        const value = parseInt(input.value);
+        if (isNaN(value)) {
+            alert('Please enter a number');
+            return null;
+        }
+        input.value = '';
+        return value;
+    }
+
+    static async insert() {
+        const value = this.readValue();
+        if (value === null) return;
+        if (!this.tree.insert(value)) {
+            alert(`${value} is already in the tree`);
+            return;
+        }
+        await this.playSteps();
+    }
+
+    static async delete() {
+        const value = this.readValue();
+        if (value === null) return;
+        if (!this.tree.delete(value)) {
+            alert(`${value} is not in the tree`);
+            return;
+        }
+        await this.playSteps();
+    }
+
+    static async insertSorted() {
+        for (let value = 1; value <= 10; value++) {
+            if (this.tree.insert(value)) await this.playSteps();
+        }
+    }
+
+    // Draws each recorded snapshot in turn, listing its narration
+    static async playSteps() {
+        const log = document.getElementById('rb-log');
+        log.innerHTML = '';
+        for (const step of this.tree.steps) {
+            const item = document.createElement('li');
+            item.textContent = step.label;
+            log.appendChild(item);
+            this.drawSnapshot(step);
+            await Animations.sleep(this.animationSpeed);
+        }
+        this.updateVisualization();
+        this.updateComplexity();
+    }
+
+    static currentSnapshot() {
+        const links = new Map();
+        const colors = new Map();
+        this.tree.preorder(node => {
+            links.set(node, { left: node.left, right: node.right });
+            colors.set(node, node.color);
+        });
+        return { root: this.tree.root, links, colors };
+    }
+
+    static drawSnapshot({ root, links, colors }) {
+        this.visualizationArea.innerHTML = '<div class="tree"></div>';
+        const treeDiv = this.visualizationArea.querySelector('.tree');
+        if (!root) return;
+
+        TreeLayout.draw(treeDiv, root, node => [links.get(node).left, links.get(node).right], node => {
+            const nodeDiv = document.createElement('div');
+            nodeDiv.className = `tree-node rb-${colors.get(node)}`;
+            nodeDiv.textContent = node.data;
+            return nodeDiv;
+        });
+    }
+
+    static updateVisualization() {
+        this.drawSnapshot(this.currentSnapshot());
+
+        const { valid, blackHeight, errors } = this.tree.validate();
+        const validation = document.getElementById('rb-validation');
+        validation.className = valid ? 'rb-valid' : 'rb-invalid';
+        validation.textContent = valid
+            ? `Valid red-black tree - black height ${blackHeight}`
+            : `Invariant broken: ${errors.join('; ')}`;
+    }
+
+    static updateComplexity() {
+        this.timeComplexityP.textContent = 'Time Complexity: O(log n) for search, insert and delete (height at most 2·log2(n + 1))';
+        this.spaceComplexityP.textContent = 'Space Complexity: O(n), plus one color bit per node';
+    }
+}
@@ -300,7 +300,7 @@ class TaskScheduler {
 
         // Visualize queue
         const queueViz = document.getElementById('task-queue-viz');
-        this.taskQueue.items.forEach(item => {
+        this.taskQueue.toArray().forEach(item => {
             const itemDiv = document.createElement('div');
             itemDiv.className = 'queue-item';
             itemDiv.textContent = `${item.id} (${item.priority})`;
@@ -311,7 +311,7 @@ class TaskScheduler {
         // Visualize priority heap (simplified)
         const heapViz = document.getElementById('priority-heap-viz');
         if (this.priorityHeap.heap.length > 0) {
-            this.drawHeap(heapViz, 0, 200, 50, 100);
+            this.drawHeap(heapViz);
         }
 
         // Visualize active tasks
@@ -335,65 +335,28 @@ class TaskScheduler {
         // Visualize BST
         const bstViz = document.getElementById('task-analysis-viz');
         if (this.taskBST.root) {
-            this.drawTree(bstViz, this.taskBST.root, 200, 50, 100);
+            this.drawTree(bstViz, this.taskBST.root);
         }
     }
 
-    static drawHeap(container, index, x, y, offset) {
-        if (index >= this.priorityHeap.heap.length) return;
-
-        const item = this.priorityHeap.heap[index];
-        const nodeDiv = document.createElement('div');
-        nodeDiv.className = 'heap-node';
-        nodeDiv.textContent = item ? `${item.task.id}(${item.priority})` : '';
-        nodeDiv.style.left = `${x - 25}px`;
-        nodeDiv.style.top = `${y}px`;
-        container.appendChild(nodeDiv);
-
-        const leftIndex = 2 * index + 1;
-        const rightIndex = 2 * index + 2;
-
-        if (leftIndex < this.priorityHeap.heap.length) {
-            this.drawLine(container, x, y + 25, x - offset, y + 75);
-            this.drawHeap(container, leftIndex, x - offset, y + 100, offset / 2);
-        }
-        if (rightIndex < this.priorityHeap.heap.length) {
-            this.drawLine(container, x, y + 25, x + offset, y + 75);
-            this.drawHeap(container, rightIndex, x + offset, y + 100, offset / 2);
-        }
-    }
-
-    static drawTree(container, node, x, y, offset) {
-        if (!node) return;
-
-        const nodeDiv = document.createElement('div');
-        nodeDiv.className = 'tree-node';
-        nodeDiv.textContent = node.data;
-        nodeDiv.style.left = `${x - 25}px`;
-        nodeDiv.style.top = `${y}px`;
-        container.appendChild(nodeDiv);
-
-        if (node.left) {
-            this.drawLine(container, x, y + 25, x - offset, y + 75);
-            this.drawTree(container, node.left, x - offset, y + 100, offset / 2);
-        }
-        if (node.right) {
-            this.drawLine(container, x, y + 25, x + offset, y + 75);
-            this.drawTree(container, node.right, x + offset, y + 100, offset / 2);
-        }
+    static drawHeap(container) {
+        const size = this.priorityHeap.heap.length;
+        TreeLayout.draw(container, 0, i => [2 * i + 1, 2 * i + 2].map(c => c < size ? c : null), index => {
+            const item = this.priorityHeap.heap[index];
+            const nodeDiv = document.createElement('div');
+            nodeDiv.className = 'heap-node';
+            nodeDiv.textContent = item ? `${item.task.id}(${item.priority})` : '';
+            return nodeDiv;
+        });
     }
 
-    static drawLine(container, x1, y1, x2, y2) {
-        const line = document.createElement('div');
-        line.style.position = 'absolute';
-        line.style.left = `${x1}px`;
-        line.style.top = `${y1}px`;
-        line.style.width = `${Math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2)}px`;
-        line.style.height = '1px';
-        line.style.backgroundColor = 'var(--text-color)';
-        line.style.transformOrigin = '0 0';
-        line.style.transform = `rotate(${Math.atan2(y2 - y1, x2 - x1)}rad)`;
-        container.appendChild(line);
+    static drawTree(container, root) {
+        TreeLayout.draw(container, root, node => [node.left, node.right], node => {
+            const nodeDiv = document.createElement('div');
+            nodeDiv.className = 'tree-node';
+            nodeDiv.textContent = node.data;
+            return nodeDiv;
+        });
     }
 
     static updateComplexity() {
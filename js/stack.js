@@ -1,12 +1,49 @@
 // stack.js - Stack visualizer and operations
 
+const EXPRESSION_OPERATORS = {
+    '+': { precedence: 1, assoc: 'left', arity: 2, apply: (a, b) => a + b },
+    '-': { precedence: 1, assoc: 'left', arity: 2, apply: (a, b) => a - b },
+    '*': { precedence: 2, assoc: 'left', arity: 2, apply: (a, b) => a * b },
+    '/': { precedence: 2, assoc: 'left', arity: 2, apply: (a, b) => a / b },
+    '%': { precedence: 2, assoc: 'left', arity: 2, apply: (a, b) => a % b },
+    'neg': { precedence: 3, assoc: 'right', arity: 1, apply: (a) => -a },
+    '^': { precedence: 4, assoc: 'right', arity: 2, apply: (a, b) => Math.pow(a, b) }
+};
+
+const EXPRESSION_FUNCTIONS = {
+    max: Math.max,
+    min: Math.min,
+    abs: Math.abs,
+    sqrt: Math.sqrt,
+    pow: Math.pow,
+    floor: Math.floor,
+    ceil: Math.ceil,
+    round: Math.round,
+    sin: Math.sin,
+    cos: Math.cos,
+    tan: Math.tan,
+    log: Math.log,
+    exp: Math.exp
+};
+
+class ExpressionError extends Error {
+    constructor(message, position) {
+        super(`${message} at position ${position + 1}`);
+        this.name = 'ExpressionError';
+        this.position = position;
+    }
+}
+
 class Stack {
-    constructor() {
+    constructor(capacity = Infinity) {
         this.items = [];
+        this.capacity = capacity;
     }
 
     push(element) {
+        if (this.isFull()) return false;
         this.items.push(element);
+        return true;
     }
 
     pop() {
@@ -23,6 +60,10 @@ class Stack {
         return this.items.length === 0;
     }
 
+    isFull() {
+        return this.items.length >= this.capacity;
+    }
+
     size() {
         return this.items.length;
     }
@@ -30,10 +71,213 @@ class Stack {
     clear() {
         this.items = [];
     }
+
+    // Bottom to top
+    toArray() {
+        return [...this.items];
+    }
+}
+
+// Same interface as Stack, backed by Node objects from linkedlist.js with the
+// top of the stack at the head of the list.
+class LinkedStack {
+    constructor(capacity = Infinity) {
+        this.head = null;
+        this.length = 0;
+        this.capacity = capacity;
+    }
+
+    push(element) {
+        if (this.isFull()) return false;
+        const node = new Node(element);
+        node.next = this.head;
+        this.head = node;
+        this.length++;
+        return true;
+    }
+
+    pop() {
+        if (this.isEmpty()) return null;
+        const node = this.head;
+        this.head = node.next;
+        this.length--;
+        return node.data;
+    }
+
+    peek() {
+        if (this.isEmpty()) return null;
+        return this.head.data;
+    }
+
+    isEmpty() {
+        return this.head === null;
+    }
+
+    isFull() {
+        return this.length >= this.capacity;
+    }
+
+    size() {
+        return this.length;
+    }
+
+    clear() {
+        this.head = null;
+        this.length = 0;
+    }
+
+    // Bottom to top, matching Stack.items
+    toArray() {
+        const arr = [];
+        for (let current = this.head; current; current = current.next) {
+            arr.unshift(current.data);
+        }
+        return arr;
+    }
+
+    get items() {
+        return this.toArray();
+    }
+}
+
+class CallFrame {
+    constructor(name, args) {
+        this.name = name;
+        this.args = args;
+        this.locals = {};
+        this.received = undefined;
+        this.returnValue = undefined;
+        this.status = 'running'; // running, returning, overflow
+    }
+
+    signature() {
+        const args = Object.entries(this.args).map(([key, value]) => `${key}=${value}`);
+        return `${this.name}(${args.join(', ')})`;
+    }
+
+    clone() {
+        const copy = new CallFrame(this.name, { ...this.args });
+        copy.locals = { ...this.locals };
+        copy.received = this.received;
+        copy.returnValue = this.returnValue;
+        copy.status = this.status;
+        return copy;
+    }
+
+    toString() {
+        return this.signature();
+    }
 }
 
+// Each program gets `call(name, args, body)` from the recorder; `body`
+// receives the new frame and a `step(message)` helper that records a snapshot.
+const RECURSION_PROGRAMS = {
+    factorial: {
+        placeholder: 'n (e.g., 5)',
+        parse(text) {
+            const n = parseInt(text);
+            if (isNaN(n) || n < 0) throw new Error('Enter a non-negative integer n');
+            return [n];
+        },
+        run(call, n) {
+            const factorial = (n) => call('factorial', { n }, (frame, step) => {
+                if (n <= 1) {
+                    step('Base case: n <= 1, so the answer is 1');
+                    return 1;
+                }
+                frame.locals.rest = factorial(n - 1);
+                step(`rest = factorial(${n - 1}) = ${frame.locals.rest}; return ${n} * rest`);
+                return n * frame.locals.rest;
+            });
+            return factorial(n);
+        }
+    },
+    fibonacci: {
+        placeholder: 'n (e.g., 5)',
+        parse(text) {
+            const n = parseInt(text);
+            if (isNaN(n) || n < 0) throw new Error('Enter a non-negative integer n');
+            return [n];
+        },
+        run(call, n) {
+            const fib = (n) => call('fib', { n }, (frame, step) => {
+                if (n < 2) {
+                    step(`Base case: fib(${n}) = ${n}`);
+                    return n;
+                }
+                frame.locals.a = fib(n - 1);
+                step(`a = fib(${n - 1}) = ${frame.locals.a}; now compute fib(${n - 2})`);
+                frame.locals.b = fib(n - 2);
+                step(`b = fib(${n - 2}) = ${frame.locals.b}; return a + b`);
+                return frame.locals.a + frame.locals.b;
+            });
+            return fib(n);
+        }
+    },
+    hanoi: {
+        placeholder: 'disks (e.g., 3)',
+        parse(text) {
+            const n = parseInt(text);
+            if (isNaN(n) || n < 1) throw new Error('Enter at least one disk');
+            return [n];
+        },
+        // Returns the number of moves made so the count flows back up
+        run(call, n) {
+            const hanoi = (n, from, to, via) => call('hanoi', { n, from, to, via }, (frame, step) => {
+                if (n === 1) {
+                    step(`Move disk 1 from ${from} to ${to}`);
+                    return 1;
+                }
+                frame.locals.moves = hanoi(n - 1, from, via, to);
+                step(`Move disk ${n} from ${from} to ${to}`);
+                frame.locals.moves += 1;
+                frame.locals.moves += hanoi(n - 1, via, to, from);
+                step(`Moved ${n} disks from ${from} to ${to} in ${frame.locals.moves} moves`);
+                return frame.locals.moves;
+            });
+            return hanoi(n, 'A', 'C', 'B');
+        }
+    },
+    binarySearch: {
+        placeholder: 'sorted values; target (e.g., 1,3,5,7,9; 7)',
+        parse(text) {
+            const [list, target] = text.split(';');
+            const arr = (list || '').split(',').map(v => parseFloat(v));
+            const value = parseFloat(target);
+            if (arr.some(isNaN) || isNaN(value)) throw new Error('Use the form: 1,3,5,7,9; 7');
+            if (arr.some((v, i) => i > 0 && v < arr[i - 1])) throw new Error('The values must be sorted');
+            return [arr, value];
+        },
+        run(call, arr, target) {
+            const search = (lo, hi) => call('binarySearch', { lo, hi }, (frame, step) => {
+                if (lo > hi) {
+                    step(`lo > hi: ${target} is not in the array`);
+                    return -1;
+                }
+                const mid = Math.floor((lo + hi) / 2);
+                frame.locals.mid = mid;
+                frame.locals['arr[mid]'] = arr[mid];
+                if (arr[mid] === target) {
+                    step(`arr[${mid}] = ${target}: found`);
+                    return mid;
+                }
+                if (arr[mid] < target) {
+                    step(`arr[${mid}] = ${arr[mid]} < ${target}: search the right half`);
+                    return search(mid + 1, hi);
+                }
+                step(`arr[${mid}] = ${arr[mid]} > ${target}: search the left half`);
+                return search(lo, mid - 1);
+            });
+            return search(0, arr.length - 1);
+        }
+    }
+};
+
+const RECURSION_STEP_LIMIT = 2000;
+
 class StackVisualizer {
     static init(visualizationArea, operationsDiv, timeComplexityP, spaceComplexityP, animationSpeed) {
+        this.backing = 'array';
         this.stack = new Stack();
         this.visualizationArea = visualizationArea;
         this.operationsDiv = operationsDiv;
@@ -49,6 +293,13 @@ class StackVisualizer {
     static setupUI() {
         this.operationsDiv.innerHTML = `
             <h3>Stack Operations</h3>
+            <select id="stack-backing">
+                <option value="array">Array-backed</option>
+                <option value="linked">Linked-list-backed</option>
+            </select>
+            <input type="number" id="stack-capacity" placeholder="Capacity (blank = unbounded)" min="1">
+            <button id="stack-capacity-btn">Set Capacity</button>
+            <br>
             <input type="text" id="stack-input" placeholder="Enter value">
             <button id="push-btn" class="tooltip">Push
                 <span class="tooltiptext">Add element to top of stack - O(1)</span>
@@ -59,18 +310,128 @@ class StackVisualizer {
             <button id="peek-btn" class="tooltip">Peek
                 <span class="tooltiptext">View top element without removing - O(1)</span>
             </button>
+            <p id="stack-status"></p>
             <h4>Infix to Postfix/Prefix</h4>
-            <input type="text" id="infix-input" placeholder="Enter infix expression (e.g., A+B*C)">
+            <input type="text" id="infix-input" placeholder="Enter infix expression (e.g., 12+max(a,b)^2)">
             <button id="to-postfix-btn">Convert to Postfix</button>
             <button id="to-prefix-btn">Convert to Prefix</button>
+            <button id="trace-postfix-btn" class="tooltip">Trace Postfix
+                <span class="tooltiptext">Replay the conversion token by token</span>
+            </button>
             <p id="conversion-result"></p>
+            <div id="trace-controls" style="display: none;">
+                <button id="trace-prev-btn">&#9664; Step Back</button>
+                <button id="trace-next-btn">Step Forward &#9654;</button>
+                <button id="trace-play-btn">Autoplay</button>
+                <span id="trace-counter"></span>
+            </div>
+            <h4>Expression Tree &amp; Evaluation</h4>
+            <input type="text" id="bindings-input" placeholder="Variable values (e.g., A=3, B=4)">
+            <button id="expr-tree-btn" class="tooltip">Show Tree
+                <span class="tooltiptext">Build the expression tree from the postfix output - O(n)</span>
+            </button>
+            <button id="evaluate-btn" class="tooltip">Evaluate
+                <span class="tooltiptext">Evaluate the postfix form with a stack - O(n)</span>
+            </button>
+            <p id="evaluation-result"></p>
+            <h4>Bracket Matching</h4>
+            <input type="text" id="bracket-input" placeholder="Enter text (e.g., {[()]} or <b>x</b>)">
+            <label><input type="checkbox" id="bracket-tags"> Match HTML tags</label>
+            <button id="bracket-check-btn" class="tooltip">Check
+                <span class="tooltiptext">Push openers, pop on closers - O(n)</span>
+            </button>
+            <p id="bracket-result"></p>
+            <h4>Recursion Simulator</h4>
+            <select id="recursion-program">
+                <option value="factorial">Factorial</option>
+                <option value="fibonacci">Fibonacci</option>
+                <option value="hanoi">Tower of Hanoi</option>
+                <option value="binarySearch">Binary Search</option>
+            </select>
+            <input type="text" id="recursion-args" placeholder="n (e.g., 5)">
+            <label>Depth limit <input type="number" id="recursion-limit" value="12" min="1" max="100"></label>
+            <button id="recursion-run-btn" class="tooltip">Load Program
+                <span class="tooltiptext">Each call pushes a frame, each return pops it</span>
+            </button>
+            <div id="recursion-controls" style="display: none;">
+                <button id="recursion-prev-btn">&#9664; Step Back</button>
+                <button id="recursion-next-btn">Step Forward &#9654;</button>
+                <button id="recursion-play-btn">Autoplay</button>
+                <span id="recursion-counter"></span>
+            </div>
+            <p id="recursion-step"></p>
         `;
 
+        document.getElementById('stack-backing').addEventListener('change', (e) => this.changeBacking(e.target.value));
+        document.getElementById('stack-capacity-btn').addEventListener('click', () => this.setCapacity());
         document.getElementById('push-btn').addEventListener('click', () => this.push());
         document.getElementById('pop-btn').addEventListener('click', () => this.pop());
         document.getElementById('peek-btn').addEventListener('click', () => this.peek());
         document.getElementById('to-postfix-btn').addEventListener('click', () => this.convertToPostfix());
         document.getElementById('to-prefix-btn').addEventListener('click', () => this.convertToPrefix());
+        document.getElementById('trace-postfix-btn').addEventListener('click', () => this.startTrace());
+        document.getElementById('trace-prev-btn').addEventListener('click', () => this.stepTrace(-1));
+        document.getElementById('trace-next-btn').addEventListener('click', () => this.stepTrace(1));
+        document.getElementById('trace-play-btn').addEventListener('click', () => this.toggleTracePlayback());
+        document.getElementById('expr-tree-btn').addEventListener('click', () => this.showExpressionTree());
+        document.getElementById('evaluate-btn').addEventListener('click', () => this.evaluateExpression());
+        document.getElementById('bracket-check-btn').addEventListener('click', () => this.checkBalance());
+        document.getElementById('recursion-program').addEventListener('change', (e) => {
+            document.getElementById('recursion-args').placeholder = RECURSION_PROGRAMS[e.target.value].placeholder;
+        });
+        document.getElementById('recursion-run-btn').addEventListener('click', () => this.loadRecursion());
+        document.getElementById('recursion-prev-btn').addEventListener('click', () => this.stepRecursion(-1));
+        document.getElementById('recursion-next-btn').addEventListener('click', () => this.stepRecursion(1));
+        document.getElementById('recursion-play-btn').addEventListener('click', () => this.toggleRecursionPlayback());
+    }
+
+    static createStack(capacity) {
+        return this.backing === 'linked' ? new LinkedStack(capacity) : new Stack(capacity);
+    }
+
+    // Rebuilds the stack with the other backing, keeping its contents
+    static async changeBacking(backing) {
+        const items = this.stack.toArray();
+        this.backing = backing;
+        const stack = this.createStack(this.stack.capacity);
+        items.forEach(item => stack.push(item));
+        this.stack = stack;
+        this.visualizationArea.innerHTML = '';
+        await this.updateVisualization();
+        this.updateComplexity();
+    }
+
+    static async setCapacity() {
+        const text = document.getElementById('stack-capacity').value.trim();
+        const capacity = text === '' ? Infinity : parseInt(text);
+        if (isNaN(capacity) || capacity < 1) {
+            alert('Please enter a capacity of at least 1, or leave it blank for no limit');
+            return;
+        }
+        if (capacity < this.stack.size()) {
+            alert(`The stack already holds ${this.stack.size()} items; pop some first`);
+            return;
+        }
+        this.stack.capacity = capacity;
+        this.setStatus(Number.isFinite(capacity) ? `Capacity set to ${capacity}` : 'Stack is now unbounded');
+        this.visualizationArea.innerHTML = '';
+        await this.updateVisualization();
+    }
+
+    static setStatus(message, isError = false) {
+        const statusP = document.getElementById('stack-status');
+        if (!statusP) return;
+        statusP.textContent = message;
+        statusP.classList.toggle('expression-error', isError);
+    }
+
+    static async reportStackError(message) {
+        this.setStatus(message, true);
+        const stackDiv = this.visualizationArea.querySelector('.main-stack');
+        if (!stackDiv) return;
+        stackDiv.classList.add('stack-error');
+        await Animations.sleep(this.animationSpeed);
+        stackDiv.classList.remove('stack-error');
     }
 
     static async push() {
@@ -78,7 +439,12 @@ class StackVisualizer {
         const value = input.value.trim();
         if (value === '') return;
 
-        this.stack.push(value);
+        this.stopRecursion();
+        if (!this.stack.push(value)) {
+            await this.reportStackError(`Stack overflow: capacity ${this.stack.capacity} reached, cannot push ${value}`);
+            return;
+        }
+        this.setStatus(`Pushed ${value}`);
         await this.updateVisualization();
         this.updateComplexity();
         input.value = '';
@@ -86,53 +452,193 @@ class StackVisualizer {
 
     static async pop() {
         if (this.stack.isEmpty()) {
-            alert('Stack is empty!');
+            await this.reportStackError('Stack underflow: cannot pop from an empty stack');
             return;
         }
 
+        this.stopRecursion();
         const poppedElement = this.stack.pop();
+        this.setStatus(`Popped ${poppedElement}`);
         await this.updateVisualization();
         this.updateComplexity();
-        alert(`Popped: ${poppedElement}`);
     }
 
     static peek() {
         const top = this.stack.peek();
         if (top === null) {
-            alert('Stack is empty!');
+            this.reportStackError('Stack underflow: nothing to peek at');
         } else {
             alert(`Top element: ${top}`);
         }
         this.updateComplexity();
     }
 
+    // Only entries that were not on screen before are animated in; a shrink
+    // animates the old top entry out first.
     static async updateVisualization() {
-        this.visualizationArea.innerHTML = '<div class="stack"></div>';
+        this.stopTrace();
+        const previousEntries = this.visualizationArea.querySelectorAll('.main-stack .stack-entry');
+        const previousCount = previousEntries.length;
+        const items = this.stack.toArray();
+        if (previousCount > items.length) {
+            await Animations.animateStackPop(previousEntries[previousCount - 1], this.animationSpeed / 2);
+        }
+
+        this.visualizationArea.innerHTML = `<div class="stack main-stack ${this.backing}-stack"></div>`;
         const stackDiv = this.visualizationArea.querySelector('.stack');
 
         // DEBUG: Expose data globally for AR
-        window.dsaData = this.stack.items;
+        window.dsaData = items;
         console.log("Stack updated, exposed to window.dsaData:", window.dsaData);
 
-        for (let i = 0; i < this.stack.items.length; i++) {
+        const entries = this.backing === 'linked'
+            ? this.renderLinkedStack(stackDiv, items)
+            : this.renderArrayStack(stackDiv, items);
+
+        const added = entries.slice(previousCount);
+        added.forEach(entry => { entry.style.opacity = '0'; });
+        for (const entry of added) {
+            await Animations.animateStackPush(entry, this.animationSpeed);
+        }
+    }
+
+    // Array view: indexed cells from the bottom up, empty slots up to the
+    // capacity, and the top index pointing at the last filled cell.
+    static renderArrayStack(stackDiv, items) {
+        const top = items.length - 1;
+        const capacity = this.stack.capacity;
+        const caption = document.createElement('p');
+        caption.className = 'stack-caption';
+        caption.textContent = `top = ${top}` + (Number.isFinite(capacity) ? `, capacity = ${capacity}` : '');
+        stackDiv.appendChild(caption);
+
+        const entries = [];
+        const slots = Number.isFinite(capacity) ? capacity : items.length;
+        for (let i = 0; i < slots; i++) {
+            const cell = document.createElement('div');
+            cell.className = 'array-cell';
+            const index = document.createElement('span');
+            index.className = 'cell-index';
+            index.textContent = `[${i}]`;
+            cell.appendChild(index);
+
             const itemDiv = document.createElement('div');
             itemDiv.className = 'stack-item';
-            itemDiv.textContent = this.stack.items[i];
-            stackDiv.appendChild(itemDiv);
-            await Animations.animateStackPush(itemDiv, this.animationSpeed);
+            if (i < items.length) {
+                itemDiv.classList.add('stack-entry');
+                this.fillEntry(itemDiv, items[i], i === top);
+                entries.push(itemDiv);
+            } else {
+                itemDiv.classList.add('empty-slot');
+            }
+            cell.appendChild(itemDiv);
+
+            const pointer = document.createElement('span');
+            pointer.className = 'top-pointer';
+            pointer.textContent = i === top ? '← top' : '';
+            cell.appendChild(pointer);
+            stackDiv.appendChild(cell);
+        }
+        return entries;
+    }
+
+    // Linked view: one node per item, drawn like the linked list page, with
+    // top at the head and each next pointer leading down to the older item.
+    static renderLinkedStack(stackDiv, items) {
+        const caption = document.createElement('p');
+        caption.className = 'stack-caption';
+        caption.textContent = `size = ${items.length}` + (Number.isFinite(this.stack.capacity) ? `, capacity = ${this.stack.capacity}` : '');
+        stackDiv.appendChild(caption);
+
+        const entries = [];
+        items.forEach((item, i) => {
+            if (i > 0) {
+                const arrow = document.createElement('div');
+                arrow.className = 'arrow stack-link';
+                arrow.textContent = '↓';
+                stackDiv.appendChild(arrow);
+            }
+
+            const cell = document.createElement('div');
+            cell.className = 'array-cell';
+            const nodeBox = document.createElement('div');
+            nodeBox.className = 'node-box stack-entry';
+            nodeBox.innerHTML = `
+                <div class="node-content">
+                    <div class="node-section data-section">
+                        <span class="section-label">data</span>
+                        <span class="data-value"></span>
+                    </div>
+                    <div class="node-section next-section">
+                        <span class="section-label">next</span>
+                        <span class="pointer-value">${i > 0 ? '↓' : 'null'}</span>
+                    </div>
+                </div>
+            `;
+            this.fillEntry(nodeBox.querySelector('.data-value'), item, i === items.length - 1, nodeBox);
+            cell.appendChild(nodeBox);
+
+            const pointer = document.createElement('span');
+            pointer.className = 'top-pointer';
+            pointer.textContent = i === items.length - 1 ? '← top' : '';
+            cell.appendChild(pointer);
+            stackDiv.appendChild(cell);
+            entries.push(nodeBox);
+        });
+        return entries;
+    }
+
+    static fillEntry(container, item, isTop, entry = container) {
+        if (!(item instanceof CallFrame)) {
+            container.textContent = item;
+            return;
         }
+        entry.classList.add('stack-frame', item.status);
+        if (isTop) entry.classList.add('active-frame');
+        this.renderFrame(container, item);
+    }
+
+    static renderFrame(container, frame) {
+        const title = document.createElement('div');
+        title.className = 'frame-title';
+        title.textContent = frame.signature();
+        container.appendChild(title);
+
+        const lines = Object.entries(frame.locals).map(([key, value]) => `${key} = ${value}`);
+        if (frame.received !== undefined) lines.push(`← received ${frame.received}`);
+        if (frame.status === 'returning') lines.push(`return ${frame.returnValue}`);
+        if (frame.status === 'overflow') lines.push('stack overflow!');
+        lines.forEach(text => {
+            const line = document.createElement('div');
+            line.className = 'frame-line';
+            line.textContent = text;
+            container.appendChild(line);
+        });
     }
 
     static updateComplexity() {
-        this.timeComplexityP.textContent = 'Time Complexity: O(1) for Push, Pop, Peek';
-        this.spaceComplexityP.textContent = 'Space Complexity: O(n)';
+        if (this.backing === 'linked') {
+            this.timeComplexityP.textContent = 'Time Complexity: O(1) for Push, Pop, Peek (at the head node)';
+            this.spaceComplexityP.textContent = 'Space Complexity: O(n), plus one next pointer per node';
+        } else {
+            this.timeComplexityP.textContent = 'Time Complexity: O(1) for Push, Pop, Peek (amortized when the array grows)';
+            this.spaceComplexityP.textContent = Number.isFinite(this.stack.capacity)
+                ? `Space Complexity: O(capacity) = ${this.stack.capacity} slots reserved`
+                : 'Space Complexity: O(n)';
+        }
     }
 
     static convertToPostfix() {
         const infix = document.getElementById('infix-input').value.trim();
         if (infix === '') return;
 
-        const postfix = this.infixToPostfix(infix);
+        let postfix;
+        try {
+            postfix = this.infixToPostfix(infix);
+        } catch (error) {
+            this.showExpressionError(infix, error);
+            return;
+        }
         document.getElementById('conversion-result').textContent = `Postfix: ${postfix}`;
         this.animateConversion(infix, postfix, 'postfix');
     }
@@ -141,50 +647,217 @@ class StackVisualizer {
         const infix = document.getElementById('infix-input').value.trim();
         if (infix === '') return;
 
-        const prefix = this.infixToPrefix(infix);
+        let prefix;
+        try {
+            prefix = this.infixToPrefix(infix);
+        } catch (error) {
+            this.showExpressionError(infix, error);
+            return;
+        }
         document.getElementById('conversion-result').textContent = `Prefix: ${prefix}`;
         this.animateConversion(infix, prefix, 'prefix');
     }
 
-    static infixToPostfix(infix) {
-        const precedence = { '+': 1, '-': 1, '*': 2, '/': 2, '^': 3 };
-        const stack = [];
-        let postfix = '';
-
-        for (let char of infix) {
-            if (char.match(/[a-zA-Z0-9]/)) {
-                postfix += char;
-            } else if (char === '(') {
-                stack.push(char);
-            } else if (char === ')') {
-                while (stack.length && stack[stack.length - 1] !== '(') {
-                    postfix += stack.pop();
+    static showExpressionError(infix, error, resultId = 'conversion-result') {
+        if (!(error instanceof ExpressionError)) throw error;
+
+        const resultP = document.getElementById(resultId);
+        const pos = Math.min(error.position, infix.length);
+        resultP.innerHTML = '';
+        const before = document.createTextNode(infix.slice(0, pos));
+        const marker = document.createElement('span');
+        marker.className = 'expression-error-char';
+        marker.textContent = infix[pos] || ' ';
+        const after = document.createTextNode(infix.slice(pos + 1));
+        const message = document.createElement('span');
+        message.className = 'expression-error';
+        message.textContent = `Error: ${error.message}`;
+        resultP.append(before, marker, after, document.createElement('br'), message);
+    }
+
+    // Splits an infix string into numbers, identifiers, operators, parentheses,
+    // commas and function names. A '-' that cannot be binary becomes 'neg';
+    // a unary '+' is dropped.
+    static tokenize(infix) {
+        const tokens = [];
+        let i = 0;
+
+        while (i < infix.length) {
+            const char = infix[i];
+            const prev = tokens[tokens.length - 1];
+            const expectsOperand = !prev || ['operator', 'lparen', 'comma'].includes(prev.type);
+
+            if (/\s/.test(char)) {
+                i++;
+            } else if (/[0-9.]/.test(char)) {
+                const match = /^(\d+(\.\d*)?|\.\d+)/.exec(infix.slice(i));
+                if (!match) throw new ExpressionError(`Invalid number starting with '${char}'`, i);
+                const end = i + match[0].length;
+                if (infix[end] === '.') throw new ExpressionError('Number has more than one decimal point', end);
+                tokens.push({ type: 'number', value: match[0], position: i });
+                i = end;
+            } else if (/[a-zA-Z_]/.test(char)) {
+                const name = /^[a-zA-Z_]\w*/.exec(infix.slice(i))[0];
+                const rest = infix.slice(i + name.length);
+                const isCall = /^\s*\(/.test(rest);
+                tokens.push({ type: isCall ? 'function' : 'identifier', value: name, position: i });
+                i += name.length;
+            } else if ('+-*/%^'.includes(char)) {
+                if (expectsOperand && char === '-') {
+                    tokens.push({ type: 'operator', value: 'neg', position: i });
+                } else if (!(expectsOperand && char === '+')) {
+                    tokens.push({ type: 'operator', value: char, position: i });
                 }
-                stack.pop();
+                i++;
+            } else if (char === '(' || char === ')' || char === ',') {
+                const type = char === '(' ? 'lparen' : char === ')' ? 'rparen' : 'comma';
+                tokens.push({ type, value: char, position: i });
+                i++;
             } else {
-                while (stack.length && precedence[char] <= precedence[stack[stack.length - 1]]) {
-                    postfix += stack.pop();
+                throw new ExpressionError(`Unexpected character '${char}'`, i);
+            }
+        }
+
+        return tokens;
+    }
+
+    // Shunting-yard over the token list. Returns the postfix tokens; function
+    // tokens carry the number of arguments they were called with.
+    // When a trace array is passed, every push, pop and output append is
+    // recorded with a snapshot of the operator stack and the output so far.
+    static toPostfixTokens(infix, trace = null) {
+        const tokens = this.tokenize(infix);
+        const output = [];
+        const stack = [];
+        let expectOperand = true;
+        let prev = null;
+
+        const show = (token) => token.type === 'function' ? `${token.value}()` : token.value;
+        const record = (token, action) => {
+            if (!trace) return;
+            trace.push({
+                index: token ? token.position : infix.length,
+                length: token ? (token.value === 'neg' ? 1 : token.value.length) : 0,
+                token: token ? show(token) : null,
+                action,
+                stack: stack.map(show),
+                output: output.map(t => t.value).join(' ')
+            });
+        };
+        const popToOutput = (token, reason) => {
+            const top = stack.pop();
+            output.push(top);
+            record(token, `Pop '${show(top)}' to output: ${reason}`);
+        };
+        const top = () => stack[stack.length - 1];
+
+        for (const token of tokens) {
+            switch (token.type) {
+                case 'number':
+                case 'identifier':
+                    if (!expectOperand) throw new ExpressionError(`Missing operator before '${token.value}'`, token.position);
+                    output.push(token);
+                    record(token, `Operand '${token.value}' goes straight to the output`);
+                    expectOperand = false;
+                    break;
+                case 'function':
+                    if (!expectOperand) throw new ExpressionError(`Missing operator before '${token.value}'`, token.position);
+                    stack.push({ ...token, arity: 0 });
+                    record(token, `Push function '${token.value}' until its arguments are done`);
+                    break;
+                case 'lparen':
+                    if (!expectOperand) throw new ExpressionError(`Missing operator before '('`, token.position);
+                    stack.push({ ...token, commas: 0, isCall: prev !== null && prev.type === 'function' });
+                    record(token, `Push '(' to mark the start of a group`);
+                    break;
+                case 'comma': {
+                    if (expectOperand) throw new ExpressionError(`Missing argument before ','`, token.position);
+                    while (stack.length && top().type !== 'lparen') {
+                        popToOutput(token, 'argument separator');
+                    }
+                    if (!stack.length || !top().isCall) throw new ExpressionError(`',' outside of a function call`, token.position);
+                    top().commas++;
+                    record(token, `Start argument ${top().commas + 1} of '${stack[stack.length - 2].value}'`);
+                    expectOperand = true;
+                    break;
+                }
+                case 'rparen': {
+                    const emptyCall = prev && prev.type === 'lparen';
+                    if (expectOperand && !(emptyCall && top() && top().isCall)) {
+                        const message = emptyCall ? `Empty parentheses` : `Missing operand before ')'`;
+                        throw new ExpressionError(message, token.position);
+                    }
+                    while (stack.length && top().type !== 'lparen') {
+                        popToOutput(token, 'closing parenthesis');
+                    }
+                    if (!stack.length) throw new ExpressionError(`Unmatched ')'`, token.position);
+                    const paren = stack.pop();
+                    record(token, `Discard the matching '(' and ')'`);
+                    if (paren.isCall) {
+                        top().arity = emptyCall ? 0 : paren.commas + 1;
+                        popToOutput(token, `call closes with ${top().arity} argument(s)`);
+                    }
+                    expectOperand = false;
+                    break;
+                }
+                case 'operator': {
+                    const op = EXPRESSION_OPERATORS[token.value];
+                    if (op.arity === 2) {
+                        if (expectOperand) throw new ExpressionError(`Operator '${token.value}' is missing its left operand`, token.position);
+                        while (stack.length && top().type === 'operator') {
+                            const topOp = EXPRESSION_OPERATORS[top().value];
+                            if (topOp.precedence > op.precedence) {
+                                popToOutput(token, `'${top().value}' binds tighter than '${token.value}'`);
+                            } else if (topOp.precedence === op.precedence && op.assoc === 'left') {
+                                popToOutput(token, `same precedence as '${token.value}', which is left-associative`);
+                            } else {
+                                break;
+                            }
+                        }
+                    }
+                    stack.push(token);
+                    record(token, op.arity === 1
+                        ? `Push unary minus 'neg'; it applies to the operand that follows`
+                        : `Push '${token.value}' onto the operator stack`);
+                    expectOperand = true;
+                    break;
                 }
-                stack.push(char);
             }
+            prev = token;
         }
 
+        if (expectOperand) {
+            if (!prev) throw new ExpressionError('Expression is empty', 0);
+            throw new ExpressionError(`'${prev.value}' is missing its right operand`, prev.position);
+        }
         while (stack.length) {
-            postfix += stack.pop();
+            if (top().type === 'lparen') throw new ExpressionError(`Unclosed '('`, top().position);
+            popToOutput(null, 'end of input');
         }
 
-        return postfix;
+        return output;
+    }
+
+    static infixToPostfix(infix, trace = null) {
+        return this.toPostfixTokens(infix, trace).map(token => token.value).join(' ');
     }
 
+    // Builds the prefix form from the same postfix tokens: each operator or
+    // function pops its operands' prefix strings and pushes itself in front.
     static infixToPrefix(infix) {
-        // Reverse the infix expression
-        let reversed = infix.split('').reverse().join('');
-        // Replace ( with ) and vice versa
-        reversed = reversed.replace(/\(/g, '#').replace(/\)/g, '(').replace(/#/g, ')');
-        // Get postfix of reversed expression
-        const postfix = this.infixToPostfix(reversed);
-        // Reverse the postfix to get prefix
-        return postfix.split('').reverse().join('');
+        const stack = [];
+        for (const token of this.toPostfixTokens(infix)) {
+            const arity = this.arityOf(token);
+            const args = stack.splice(stack.length - arity, arity);
+            stack.push([token.value, ...args].join(' '));
+        }
+        return stack.pop();
+    }
+
+    static arityOf(token) {
+        if (token.type === 'operator') return EXPRESSION_OPERATORS[token.value].arity;
+        if (token.type === 'function') return token.arity;
+        return 0;
     }
 
     static async animateConversion(infix, result, type) {
@@ -193,4 +866,564 @@ class StackVisualizer {
         const resultP = document.getElementById('conversion-result');
         await Animations.highlightElement(resultP, this.animationSpeed);
     }
-}
\ No newline at end of file
+
+    static startTrace() {
+        const infix = document.getElementById('infix-input').value.trim();
+        if (infix === '') return;
+
+        this.stopTrace();
+        this.trace = [];
+        let postfix;
+        try {
+            postfix = this.infixToPostfix(infix, this.trace);
+        } catch (error) {
+            this.trace = [];
+            document.getElementById('trace-controls').style.display = 'none';
+            this.showExpressionError(infix, error);
+            return;
+        }
+        this.traceInfix = infix;
+        this.traceIndex = 0;
+        document.getElementById('conversion-result').textContent = `Postfix: ${postfix}`;
+        document.getElementById('trace-controls').style.display = '';
+        this.renderTraceStep(true);
+    }
+
+    static stepTrace(delta) {
+        if (!this.trace || this.trace.length === 0) return;
+        const next = this.traceIndex + delta;
+        if (next < 0 || next >= this.trace.length) return;
+        this.traceIndex = next;
+        this.renderTraceStep(delta > 0);
+    }
+
+    static async toggleTracePlayback() {
+        if (!this.trace || this.trace.length === 0) return;
+        if (this.tracePlaying) {
+            this.stopTrace();
+            return;
+        }
+
+        this.tracePlaying = true;
+        document.getElementById('trace-play-btn').textContent = 'Pause';
+        if (this.traceIndex === this.trace.length - 1) {
+            this.traceIndex = 0;
+            this.renderTraceStep(true);
+            await Animations.sleep(this.animationSpeed);
+        }
+        while (this.tracePlaying && this.traceIndex < this.trace.length - 1) {
+            this.stepTrace(1);
+            await Animations.sleep(this.animationSpeed);
+        }
+        this.stopTrace();
+    }
+
+    static stopTrace() {
+        this.tracePlaying = false;
+        const playBtn = document.getElementById('trace-play-btn');
+        if (playBtn) playBtn.textContent = 'Autoplay';
+    }
+
+    static renderTraceStep(forward) {
+        const step = this.trace[this.traceIndex];
+        const previous = this.trace[this.traceIndex - 1];
+
+        this.visualizationArea.innerHTML = `
+            <div class="trace-view">
+                <div class="trace-expression"></div>
+                <div class="trace-body">
+                    <div class="stack trace-stack"></div>
+                    <div class="trace-info">
+                        <p><strong>Token:</strong> ${step.token === null ? '(end)' : step.token}</p>
+                        <p><strong>Output:</strong> <span class="trace-output">${step.output || '&nbsp;'}</span></p>
+                        <p class="trace-action">${step.action}</p>
+                    </div>
+                </div>
+            </div>
+        `;
+
+        const expressionDiv = this.visualizationArea.querySelector('.trace-expression');
+        for (let i = 0; i < this.traceInfix.length; i++) {
+            const charSpan = document.createElement('span');
+            charSpan.className = 'trace-char';
+            charSpan.textContent = this.traceInfix[i];
+            if (i < step.index) charSpan.classList.add('consumed');
+            if (i >= step.index && i < step.index + step.length) charSpan.classList.add('highlight');
+            expressionDiv.appendChild(charSpan);
+        }
+
+        const stackDiv = this.visualizationArea.querySelector('.trace-stack');
+        step.stack.forEach(op => {
+            const itemDiv = document.createElement('div');
+            itemDiv.className = 'stack-item';
+            itemDiv.textContent = op;
+            stackDiv.appendChild(itemDiv);
+        });
+
+        // Only a forward step that grew the stack gets the push animation
+        const grew = step.stack.length > (previous ? previous.stack.length : 0);
+        if (forward && grew && stackDiv.lastChild) {
+            Animations.animateStackPush(stackDiv.lastChild, this.animationSpeed / 2);
+        }
+
+        document.getElementById('trace-counter').textContent = `Step ${this.traceIndex + 1} / ${this.trace.length}`;
+    }
+
+    // Rebuilds the tree from the postfix tokens: operands become leaves and
+    // each operator or function adopts the subtrees it pops off the stack.
+    static buildExpressionTree(postfixTokens) {
+        const stack = new Stack();
+        for (const token of postfixTokens) {
+            const arity = this.arityOf(token);
+            if (arity > 2) {
+                throw new ExpressionError(`'${token.value}' takes ${arity} arguments; the tree view only draws up to two`, token.position);
+            }
+            const node = new TreeNode(token.value);
+            node.token = token;
+            if (arity === 2) node.right = stack.pop();
+            if (arity >= 1) node.left = stack.pop();
+            stack.push(node);
+        }
+        return stack.pop();
+    }
+
+    static parseBindings(text) {
+        const bindings = Object.create(null);
+        const pattern = /^\s*([a-zA-Z_]\w*)\s*=\s*(-?(\d+(\.\d*)?|\.\d+))\s*$/;
+        let offset = 0;
+        for (const part of text.split(/[,;]/)) {
+            if (part.trim() !== '') {
+                const match = pattern.exec(part);
+                if (!match) {
+                    const start = offset + part.search(/\S/);
+                    throw new ExpressionError(`Expected name=number, found '${part.trim()}'`, start);
+                }
+                bindings[match[1]] = parseFloat(match[2]);
+            }
+            offset += part.length + 1;
+        }
+        return bindings;
+    }
+
+    static formatNumber(value) {
+        return Number.isFinite(value) ? String(+value.toPrecision(12)) : String(value);
+    }
+
+    // Draws the expression tree with the BST drawing code and returns a map
+    // from each TreeNode to the element drawn for it.
+    static renderExpressionTree(root) {
+        this.stopTrace();
+        this.visualizationArea.innerHTML = `
+            <div class="expression-view">
+                <div class="tree expression-tree"></div>
+                <div class="expression-eval">
+                    <div class="stack expression-stack"></div>
+                    <p class="trace-action" id="evaluation-step">Postfix order is a post-order walk of this tree.</p>
+                </div>
+            </div>
+        `;
+        const treeDiv = this.visualizationArea.querySelector('.expression-tree');
+        TreeVisualizer.drawTree(treeDiv, root, { top: 30 });
+
+        // drawTree appends nodes in preorder, so walk the tree the same way
+        const elements = new Map();
+        const nodeDivs = treeDiv.querySelectorAll('.tree-node');
+        let i = 0;
+        const visit = (node) => {
+            if (!node) return;
+            elements.set(node, nodeDivs[i++]);
+            visit(node.left);
+            visit(node.right);
+        };
+        visit(root);
+        return elements;
+    }
+
+    static showExpressionTree() {
+        const infix = document.getElementById('infix-input').value.trim();
+        if (infix === '') return;
+
+        try {
+            const tokens = this.toPostfixTokens(infix);
+            this.renderExpressionTree(this.buildExpressionTree(tokens));
+            document.getElementById('conversion-result').textContent = `Postfix: ${tokens.map(t => t.value).join(' ')}`;
+        } catch (error) {
+            this.showExpressionError(infix, error);
+        }
+    }
+
+    static async evaluateExpression() {
+        const infix = document.getElementById('infix-input').value.trim();
+        if (infix === '') return;
+        const bindingsText = document.getElementById('bindings-input').value;
+        const resultP = document.getElementById('evaluation-result');
+        resultP.textContent = '';
+
+        // Evaluation runs over the postfix tokens; the tree is only drawn
+        // alongside when every node has at most two operands
+        let tokens, root = null, bindings;
+        try {
+            tokens = this.toPostfixTokens(infix);
+            if (tokens.every(token => this.arityOf(token) <= 2)) root = this.buildExpressionTree(tokens);
+        } catch (error) {
+            this.showExpressionError(infix, error);
+            return;
+        }
+        try {
+            bindings = this.parseBindings(bindingsText);
+        } catch (error) {
+            this.showExpressionError(bindingsText, error, 'evaluation-result');
+            return;
+        }
+        const missing = tokens.find(t => t.type === 'identifier' && !Object.hasOwn(bindings, t.value));
+        if (missing) {
+            this.showExpressionError(infix, new ExpressionError(`No value given for '${missing.value}'`, missing.position), 'evaluation-result');
+            return;
+        }
+        const unknown = tokens.find(t => t.type === 'function' && !Object.hasOwn(EXPRESSION_FUNCTIONS, t.value));
+        if (unknown) {
+            this.showExpressionError(infix, new ExpressionError(`Unknown function '${unknown.value}'`, unknown.position), 'evaluation-result');
+            return;
+        }
+
+        const elements = new Map();
+        this.renderExpressionTree(root).forEach((element, node) => elements.set(node.token, element));
+        const stackDiv = this.visualizationArea.querySelector('.expression-stack');
+        const stepP = document.getElementById('evaluation-step');
+        const evalStack = new Stack();
+        if (!root) {
+            stepP.textContent = 'The tree view only draws up to two operands per node, so only the stack is shown.';
+            await Animations.sleep(this.animationSpeed);
+        }
+
+        for (const token of tokens) {
+            const element = elements.get(token);
+            let value;
+
+            if (token.type === 'number' || token.type === 'identifier') {
+                value = token.type === 'number' ? parseFloat(token.value) : bindings[token.value];
+                stepP.textContent = token.type === 'number'
+                    ? `Push ${token.value}`
+                    : `Push ${token.value} = ${this.formatNumber(value)}`;
+            } else {
+                const arity = this.arityOf(token);
+                const args = [];
+                for (let k = 0; k < arity; k++) {
+                    args.unshift(evalStack.pop());
+                    await Animations.animateStackPop(stackDiv.lastChild, this.animationSpeed / 2);
+                }
+                value = token.type === 'function'
+                    ? EXPRESSION_FUNCTIONS[token.value](...args)
+                    : EXPRESSION_OPERATORS[token.value].apply(...args);
+                const shown = args.map(a => this.formatNumber(a));
+                const expr = token.type === 'function'
+                    ? `${token.value}(${shown.join(', ')})`
+                    : arity === 1 ? `-${shown[0]}` : `${shown[0]} ${token.value} ${shown[1]}`;
+                stepP.textContent = `Pop ${arity}, compute ${expr} = ${this.formatNumber(value)}, push it`;
+            }
+
+            evalStack.push(value);
+            if (element) {
+                element.classList.add('highlight');
+                element.title = this.formatNumber(value);
+            }
+            const itemDiv = document.createElement('div');
+            itemDiv.className = 'stack-item';
+            itemDiv.textContent = this.formatNumber(value);
+            stackDiv.appendChild(itemDiv);
+            await Animations.animateStackPush(itemDiv, this.animationSpeed / 2);
+            await Animations.sleep(this.animationSpeed);
+            if (!element) continue;
+            element.classList.remove('highlight');
+
+            const badge = document.createElement('span');
+            badge.className = 'node-annotation';
+            badge.textContent = `=${this.formatNumber(value)}`;
+            element.appendChild(badge);
+        }
+
+        const result = this.formatNumber(evalStack.pop());
+        stepP.textContent = `The last value left on the stack is the result: ${result}`;
+        resultP.textContent = `Value: ${result}`;
+    }
+
+    // Finds the brackets (and, if asked, opening/closing tags) in the text.
+    // Self-closing and void tags such as <br/> or <img> are skipped since
+    // they never nest.
+    static scanBrackets(text, includeTags) {
+        const pairs = { '(': ')', '[': ']', '{': '}' };
+        const closers = { ')': '(', ']': '[', '}': '{' };
+        const voidTags = ['br', 'hr', 'img', 'input', 'meta', 'link'];
+        const tokens = [];
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (char in pairs) {
+                tokens.push({ kind: 'open', key: char, label: char, position: i, length: 1 });
+            } else if (char in closers) {
+                tokens.push({ kind: 'close', key: closers[char], label: char, position: i, length: 1 });
+            } else if (includeTags && char === '<') {
+                const match = /^<(\/?)([a-zA-Z][\w-]*)[^<>]*?(\/?)>/.exec(text.slice(i));
+                if (!match) continue;
+                const name = match[2].toLowerCase();
+                if (!match[3] && !voidTags.includes(name)) {
+                    tokens.push({
+                        kind: match[1] ? 'close' : 'open',
+                        key: `<${name}>`,
+                        label: match[0],
+                        position: i,
+                        length: match[0].length
+                    });
+                }
+                i += match[0].length - 1;
+            }
+        }
+        return tokens;
+    }
+
+    // Runs the classic stack check and returns every push/pop as a step,
+    // plus the first problem found (or null when the text is balanced).
+    static checkBrackets(text, includeTags = false) {
+        const stack = new Stack();
+        const steps = [];
+        const closing = (key) => key.startsWith('<') ? `</${key.slice(1)}` : { '(': ')', '[': ']', '{': '}' }[key];
+
+        for (const token of this.scanBrackets(text, includeTags)) {
+            if (token.kind === 'open') {
+                stack.push(token);
+                steps.push({ type: 'push', token, message: `Push '${token.label}'` });
+                continue;
+            }
+            const opener = stack.pop();
+            if (opener === null) {
+                const message = `'${token.label}' at position ${token.position + 1} has nothing to close`;
+                steps.push({ type: 'error', token, message });
+                return { steps, error: { token, message } };
+            }
+            if (opener.key !== token.key) {
+                const message = `'${token.label}' at position ${token.position + 1} does not match '${opener.label}' at position ${opener.position + 1} (expected '${closing(opener.key)}')`;
+                steps.push({ type: 'error', token, opener, message });
+                return { steps, error: { token, opener, message } };
+            }
+            steps.push({ type: 'pop', token, opener, message: `'${token.label}' closes '${opener.label}': pop` });
+        }
+
+        if (!stack.isEmpty()) {
+            const opener = stack.peek();
+            const message = `'${opener.label}' at position ${opener.position + 1} is never closed (${stack.size()} still open)`;
+            steps.push({ type: 'error', token: opener, message });
+            return { steps, error: { token: opener, message } };
+        }
+        return { steps, error: null };
+    }
+
+    static async checkBalance() {
+        const text = document.getElementById('bracket-input').value;
+        if (text.trim() === '') return;
+        const includeTags = document.getElementById('bracket-tags').checked;
+        const { steps, error } = this.checkBrackets(text, includeTags);
+
+        this.stopTrace();
+        this.visualizationArea.innerHTML = `
+            <div class="trace-view">
+                <div class="trace-expression"></div>
+                <div class="trace-body">
+                    <div class="stack trace-stack"></div>
+                    <div class="trace-info">
+                        <p class="trace-action" id="bracket-step">Scanning left to right...</p>
+                    </div>
+                </div>
+            </div>
+        `;
+        const expressionDiv = this.visualizationArea.querySelector('.trace-expression');
+        // One span per character, indexed by UTF-16 position like the tokens,
+        // so a surrogate pair (e.g. an emoji) fills two slots with one span
+        const charSpans = [];
+        for (const char of text) {
+            const span = document.createElement('span');
+            span.className = 'trace-char';
+            span.textContent = char;
+            expressionDiv.appendChild(span);
+            for (let k = 0; k < char.length; k++) charSpans.push(span);
+        }
+        const mark = (token, className) => {
+            for (let i = token.position; i < token.position + token.length; i++) {
+                charSpans[i].classList.add(className);
+            }
+        };
+        const unmark = (token, className) => {
+            for (let i = token.position; i < token.position + token.length; i++) {
+                charSpans[i].classList.remove(className);
+            }
+        };
+        const stackDiv = this.visualizationArea.querySelector('.trace-stack');
+        const stepP = document.getElementById('bracket-step');
+
+        for (const step of steps) {
+            stepP.textContent = step.message;
+            if (step.type === 'push') {
+                mark(step.token, 'highlight');
+                const itemDiv = document.createElement('div');
+                itemDiv.className = 'stack-item';
+                itemDiv.textContent = step.token.label;
+                stackDiv.appendChild(itemDiv);
+                await Animations.animateStackPush(itemDiv, this.animationSpeed / 2);
+                await Animations.sleep(this.animationSpeed / 2);
+                unmark(step.token, 'highlight');
+            } else if (step.type === 'pop') {
+                mark(step.token, 'highlight');
+                await Animations.animateStackPop(stackDiv.lastChild, this.animationSpeed / 2);
+                unmark(step.token, 'highlight');
+                mark(step.token, 'matched');
+                mark(step.opener, 'matched');
+                await Animations.sleep(this.animationSpeed / 2);
+            } else {
+                mark(step.token, 'mismatch');
+                if (step.opener) mark(step.opener, 'mismatch');
+            }
+        }
+
+        const resultP = document.getElementById('bracket-result');
+        if (!error) {
+            stepP.textContent = 'Stack is empty at the end: balanced.';
+            resultP.textContent = 'Balanced ✔';
+            return;
+        }
+        resultP.innerHTML = '';
+        const pos = error.token.position;
+        const marker = document.createElement('span');
+        marker.className = 'expression-error-char';
+        marker.textContent = text.slice(pos, pos + error.token.length);
+        const message = document.createElement('span');
+        message.className = 'expression-error';
+        message.textContent = `Not balanced: ${error.message}`;
+        resultP.append(text.slice(0, pos), marker, text.slice(pos + error.token.length), document.createElement('br'), message);
+    }
+
+    // Runs the program once up front and records a snapshot of every frame
+    // after each call, step and return, so playback can move both ways.
+    static recordRecursion(program, args, maxDepth) {
+        const events = [];
+        const frames = [];
+        const overflow = {};
+        const snapshot = (message) => {
+            if (events.length >= RECURSION_STEP_LIMIT) {
+                throw new Error(`More than ${RECURSION_STEP_LIMIT} steps; try a smaller input`);
+            }
+            events.push({ message, frames: frames.map(frame => frame.clone()) });
+        };
+
+        const call = (name, callArgs, body) => {
+            const frame = new CallFrame(name, callArgs);
+            frames.push(frame);
+            if (frames.length > maxDepth) {
+                frame.status = 'overflow';
+                snapshot(`Stack overflow: depth ${frames.length} passes the limit of ${maxDepth}`);
+                throw overflow;
+            }
+            snapshot(`Call ${frame.signature()} (depth ${frames.length})`);
+
+            const value = body(frame, snapshot);
+            frame.status = 'returning';
+            frame.returnValue = value;
+            snapshot(`${frame.signature()} returns ${value}`);
+
+            frames.pop();
+            const caller = frames[frames.length - 1];
+            if (caller) {
+                caller.received = value;
+                snapshot(`${value} flows back to ${caller.signature()}`);
+                caller.received = undefined;
+            }
+            return value;
+        };
+
+        let result;
+        try {
+            result = program.run(call, ...args);
+        } catch (error) {
+            if (error !== overflow) throw error;
+            return { events, overflowed: true };
+        }
+        events.push({ message: `Done: the result is ${result}`, frames: [] });
+        return { events, overflowed: false };
+    }
+
+    static async loadRecursion() {
+        const program = RECURSION_PROGRAMS[document.getElementById('recursion-program').value];
+        const maxDepth = parseInt(document.getElementById('recursion-limit').value);
+        if (isNaN(maxDepth) || maxDepth < 1) {
+            alert('Please enter a depth limit of at least 1');
+            return;
+        }
+
+        let recording;
+        try {
+            const args = program.parse(document.getElementById('recursion-args').value.trim());
+            recording = this.recordRecursion(program, args, Math.min(maxDepth, this.stack.capacity));
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+
+        this.stopRecursion();
+        this.recursion = recording.events;
+        this.recursionIndex = 0;
+        document.getElementById('recursion-controls').style.display = '';
+        if (recording.overflowed) {
+            const limit = Math.min(maxDepth, this.stack.capacity);
+            alert(`This run passes the depth limit of ${limit}; step through to see where the stack overflows.`);
+        }
+        this.stack.clear();
+        await this.updateVisualization();
+        await this.renderRecursionStep();
+    }
+
+    static async stepRecursion(delta) {
+        if (!this.recursion || this.recursion.length === 0) return;
+        const next = this.recursionIndex + delta;
+        if (next < 0 || next >= this.recursion.length) return;
+        this.recursionIndex = next;
+        await this.renderRecursionStep();
+    }
+
+    static async renderRecursionStep() {
+        const event = this.recursion[this.recursionIndex];
+        this.stack.clear();
+        const overflowed = event.frames.some(frame => !this.stack.push(frame.clone()));
+        await this.updateVisualization();
+        if (overflowed) this.reportStackError(`Stack overflow: capacity ${this.stack.capacity} reached`);
+        this.updateComplexity();
+
+        const stepP = document.getElementById('recursion-step');
+        stepP.textContent = event.message;
+        stepP.classList.toggle('expression-error', event.frames.some(frame => frame.status === 'overflow'));
+        document.getElementById('recursion-counter').textContent = `Step ${this.recursionIndex + 1} / ${this.recursion.length}`;
+    }
+
+    static async toggleRecursionPlayback() {
+        if (!this.recursion || this.recursion.length === 0) return;
+        if (this.recursionPlaying) {
+            this.stopRecursion();
+            return;
+        }
+
+        this.recursionPlaying = true;
+        document.getElementById('recursion-play-btn').textContent = 'Pause';
+        if (this.recursionIndex === this.recursion.length - 1) {
+            this.recursionIndex = 0;
+            await this.renderRecursionStep();
+        }
+        while (this.recursionPlaying && this.recursionIndex < this.recursion.length - 1) {
+            await Animations.sleep(this.animationSpeed);
+            if (this.recursionPlaying) await this.stepRecursion(1);
+        }
+        this.stopRecursion();
+    }
+
+    static stopRecursion() {
+        this.recursionPlaying = false;
+        const playBtn = document.getElementById('recursion-play-btn');
+        if (playBtn) playBtn.textContent = 'Autoplay';
+    }
+}
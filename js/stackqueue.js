@@ -0,0 +1,322 @@
+// stackqueue.js - Queue built from two stacks, stack built from two queues
+
+// Enqueue pushes onto `inbox`; dequeue pops from `outbox`, refilling it from
+// `inbox` only when it runs dry. Each element is moved at most once, so the
+// cost per operation is amortized O(1).
+class TwoStackQueue {
+    constructor() {
+        this.inbox = new Stack();
+        this.outbox = new Stack();
+        this.operations = 0;
+        this.primitiveOps = 0;
+        this.transfers = 0;
+        this.log = [];
+    }
+
+    _record(action, target, value) {
+        this.primitiveOps++;
+        this.log.push({ action, target, value });
+    }
+
+    enqueue(element) {
+        this.operations++;
+        this.inbox.push(element);
+        this._record('push', 'inbox', element);
+    }
+
+    dequeue() {
+        if (this.isEmpty()) return null;
+        this.operations++;
+        if (this.outbox.isEmpty()) {
+            while (!this.inbox.isEmpty()) {
+                const value = this.inbox.pop();
+                this._record('pop', 'inbox', value);
+                this.outbox.push(value);
+                this._record('push', 'outbox', value);
+                this.transfers++;
+            }
+        }
+        const value = this.outbox.pop();
+        this._record('pop', 'outbox', value);
+        return value;
+    }
+
+    front() {
+        if (this.isEmpty()) return null;
+        return this.outbox.isEmpty() ? this.inbox.items[0] : this.outbox.peek();
+    }
+
+    isEmpty() {
+        return this.inbox.isEmpty() && this.outbox.isEmpty();
+    }
+
+    size() {
+        return this.inbox.size() + this.outbox.size();
+    }
+
+    // Front to rear
+    toArray() {
+        return [...this.outbox.toArray().reverse(), ...this.inbox.toArray()];
+    }
+}
+
+// Push enqueues onto `main`; pop moves all but the newest element to
+// `helper`, dequeues the newest, then swaps the two queues. Pop is O(n) on
+// every call - there is no amortization here.
+class TwoQueueStack {
+    constructor() {
+        this.main = new Queue();
+        this.helper = new Queue();
+        this.operations = 0;
+        this.primitiveOps = 0;
+        this.transfers = 0;
+        this.log = [];
+    }
+
+    _record(action, target, value) {
+        this.primitiveOps++;
+        this.log.push({ action, target, value });
+    }
+
+    push(element) {
+        this.operations++;
+        this.main.enqueue(element);
+        this._record('enqueue', 'main', element);
+    }
+
+    pop() {
+        if (this.isEmpty()) return null;
+        this.operations++;
+        while (this.main.size() > 1) {
+            const value = this.main.dequeue();
+            this._record('dequeue', 'main', value);
+            this.helper.enqueue(value);
+            this._record('enqueue', 'helper', value);
+            this.transfers++;
+        }
+        const value = this.main.dequeue();
+        this._record('dequeue', 'main', value);
+        [this.main, this.helper] = [this.helper, this.main];
+        this.log.push({ action: 'swap' });
+        return value;
+    }
+
+    peek() {
+        if (this.isEmpty()) return null;
+        const items = this.main.toArray();
+        return items[items.length - 1];
+    }
+
+    isEmpty() {
+        return this.main.isEmpty();
+    }
+
+    size() {
+        return this.main.size();
+    }
+
+    // Bottom to top
+    toArray() {
+        return this.main.toArray();
+    }
+}
+
+class StackQueueVisualizer {
+    static init(visualizationArea, operationsDiv, timeComplexityP, spaceComplexityP, animationSpeed) {
+        this.mode = 'queue';
+        this.structure = new TwoStackQueue();
+        this.visualizationArea = visualizationArea;
+        this.operationsDiv = operationsDiv;
+        this.timeComplexityP = timeComplexityP;
+        this.spaceComplexityP = spaceComplexityP;
+        this.animationSpeed = animationSpeed;
+        this.lastCost = 0;
+
+        this.setupUI();
+        this.updateVisualization();
+        this.updateComplexity();
+    }
+
+    static setupUI() {
+        this.operationsDiv.innerHTML = `
+            <h3>Queue &amp; Stack from Each Other</h3>
+            <select id="sq-mode">
+                <option value="queue">Queue from two Stacks</option>
+                <option value="stack">Stack from two Queues</option>
+            </select>
+            <br>
+            <input type="text" id="sq-input" placeholder="Enter value">
+            <button id="sq-add-btn" class="tooltip">Enqueue
+                <span class="tooltiptext">Push onto the inbox stack - O(1)</span>
+            </button>
+            <button id="sq-remove-btn" class="tooltip">Dequeue
+                <span class="tooltiptext">Pop from the outbox, refilling it when empty - amortized O(1)</span>
+            </button>
+            <br>
+            <input type="number" id="sq-random-count" value="50" min="1" max="1000">
+            <button id="sq-random-btn" class="tooltip">Run Random Ops
+                <span class="tooltiptext">Mix of adds and removes, no animation, to check the averages</span>
+            </button>
+        `;
+
+        document.getElementById('sq-mode').addEventListener('change', (e) => this.changeMode(e.target.value));
+        document.getElementById('sq-add-btn').addEventListener('click', () => this.add());
+        document.getElementById('sq-remove-btn').addEventListener('click', () => this.remove());
+        document.getElementById('sq-random-btn').addEventListener('click', () => this.runRandom());
+    }
+
+    static changeMode(mode) {
+        this.mode = mode;
+        this.structure = mode === 'queue' ? new TwoStackQueue() : new TwoQueueStack();
+        this.lastCost = 0;
+        const addBtn = document.getElementById('sq-add-btn');
+        const removeBtn = document.getElementById('sq-remove-btn');
+        if (mode === 'queue') {
+            addBtn.firstChild.textContent = 'Enqueue';
+            addBtn.querySelector('.tooltiptext').textContent = 'Push onto the inbox stack - O(1)';
+            removeBtn.firstChild.textContent = 'Dequeue';
+            removeBtn.querySelector('.tooltiptext').textContent = 'Pop from the outbox, refilling it when empty - amortized O(1)';
+        } else {
+            addBtn.firstChild.textContent = 'Push';
+            addBtn.querySelector('.tooltiptext').textContent = 'Enqueue onto the main queue - O(1)';
+            removeBtn.firstChild.textContent = 'Pop';
+            removeBtn.querySelector('.tooltiptext').textContent = 'Move n-1 elements to the helper queue, then dequeue - O(n)';
+        }
+        this.updateVisualization();
+        this.updateComplexity();
+    }
+
+    // Inner contents as plain arrays, keyed by the names used in the log
+    static snapshot() {
+        if (this.mode === 'queue') {
+            return { inbox: this.structure.inbox.toArray(), outbox: this.structure.outbox.toArray() };
+        }
+        return { main: this.structure.main.toArray(), helper: this.structure.helper.toArray() };
+    }
+
+    // Performs the operation, then replays its primitive steps on a copy of
+    // the old contents so every transfer is drawn one element at a time.
+    static async perform(operation) {
+        const before = this.snapshot();
+        // The log only ever holds the steps of the operation being replayed
+        this.structure.log = [];
+        const result = operation();
+        const steps = this.structure.log;
+        this.lastCost = steps.filter(step => step.action !== 'swap').length;
+
+        for (const step of steps) {
+            if (step.action === 'swap') {
+                [before.main, before.helper] = [before.helper, before.main];
+                this.updateVisualization(before, { note: 'Swap the roles of the two queues' });
+            } else {
+                const list = before[step.target];
+                if (step.action === 'push' || step.action === 'enqueue') list.push(step.value);
+                else if (step.action === 'pop') list.pop();
+                else list.shift();
+                this.updateVisualization(before, {
+                    target: step.target,
+                    added: step.action === 'push' || step.action === 'enqueue',
+                    note: `${step.action}(${step.value}) on ${step.target}`
+                });
+            }
+            await Animations.sleep(this.animationSpeed);
+        }
+
+        this.updateVisualization();
+        this.updateComplexity();
+        return result;
+    }
+
+    static async add() {
+        const input = document.getElementById('sq-input');
+        const value = input.value.trim();
+        if (value === '') return;
+        input.value = '';
+        await this.perform(() => this.mode === 'queue' ? this.structure.enqueue(value) : this.structure.push(value));
+    }
+
+    static async remove() {
+        if (this.structure.isEmpty()) {
+            alert(this.mode === 'queue' ? 'Queue is empty!' : 'Stack is empty!');
+            return;
+        }
+        const value = await this.perform(() => this.mode === 'queue' ? this.structure.dequeue() : this.structure.pop());
+        alert(`${this.mode === 'queue' ? 'Dequeued' : 'Popped'}: ${value}`);
+    }
+
+    static runRandom() {
+        const count = parseInt(document.getElementById('sq-random-count').value);
+        if (isNaN(count) || count < 1 || count > 1000) {
+            alert('Please enter a count between 1 and 1000');
+            return;
+        }
+        let next = this.structure.operations + 1;
+        for (let i = 0; i < count; i++) {
+            const adding = this.structure.isEmpty() || Math.random() < 0.6;
+            if (this.mode === 'queue') {
+                adding ? this.structure.enqueue(next++) : this.structure.dequeue();
+            } else {
+                adding ? this.structure.push(next++) : this.structure.pop();
+            }
+        }
+        this.structure.log = [];
+        this.lastCost = 0;
+        this.updateVisualization();
+        this.updateComplexity();
+    }
+
+    static updateVisualization(contents = this.snapshot(), step = null) {
+        const names = this.mode === 'queue'
+            ? [['inbox', 'Inbox Stack (enqueue pushes here)'], ['outbox', 'Outbox Stack (dequeue pops here)']]
+            : [['main', 'Main Queue (holds the stack)'], ['helper', 'Helper Queue (used during pop)']];
+        const s = this.structure;
+        const average = s.operations ? (s.primitiveOps / s.operations).toFixed(2) : '0';
+
+        this.visualizationArea.innerHTML = `
+            <div class="sq-view">
+                <div class="sq-panels"></div>
+                <div class="sq-stats">
+                    <p><strong>${this.mode === 'queue' ? 'Queue' : 'Stack'} contents:</strong> <span class="sq-contents"></span></p>
+                    <p>Operations: ${s.operations} &middot; Primitive ${this.mode === 'queue' ? 'push/pop' : 'enqueue/dequeue'} calls: ${s.primitiveOps} &middot; Elements transferred: ${s.transfers}</p>
+                    <p>Average cost per operation: ${average} &middot; Last operation cost: ${this.lastCost}</p>
+                    <p class="trace-action"></p>
+                </div>
+            </div>
+        `;
+        // Values come straight from the text input, so they are set as text
+        this.visualizationArea.querySelector('.sq-contents').textContent = s.toArray().join(', ') || '(empty)';
+        this.visualizationArea.querySelector('.sq-stats .trace-action').textContent = step ? step.note : (this.mode === 'queue'
+            ? 'Each element costs at most 4 push/pop calls over its enqueue and dequeue, so the average never exceeds 3 and is 2 once everything is dequeued.'
+            : 'Every pop moves n-1 elements, so the average grows with the stack size.');
+
+        const panels = this.visualizationArea.querySelector('.sq-panels');
+        names.forEach(([key, title]) => {
+            const panel = document.createElement('div');
+            panel.className = 'sq-panel scheduler-section';
+            panel.innerHTML = `<h4>${title}</h4>`;
+            const inner = document.createElement('div');
+            inner.className = this.mode === 'queue' ? 'stack' : 'queue';
+            contents[key].forEach(value => {
+                const itemDiv = document.createElement('div');
+                itemDiv.className = this.mode === 'queue' ? 'stack-item' : 'queue-item';
+                itemDiv.textContent = value;
+                inner.appendChild(itemDiv);
+            });
+            if (step && step.target === key) {
+                panel.classList.add('active-panel');
+                if (step.added && inner.lastChild) inner.lastChild.classList.add('highlight', 'fade-in');
+            }
+            panel.appendChild(inner);
+            panels.appendChild(panel);
+        });
+    }
+
+    static updateComplexity() {
+        if (this.mode === 'queue') {
+            this.timeComplexityP.textContent = 'Time Complexity: Enqueue O(1), Dequeue amortized O(1) (O(n) when the outbox is refilled)';
+        } else {
+            this.timeComplexityP.textContent = 'Time Complexity: Push O(1), Pop O(n)';
+        }
+        this.spaceComplexityP.textContent = 'Space Complexity: O(n) across both inner structures';
+    }
+}
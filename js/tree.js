@@ -3,56 +3,439 @@
 class TreeNode {
     constructor(data) {
         this.data = data;
+        this.count = 1;
         this.left = null;
         this.right = null;
     }
 }
 
+const BST_COMPARATORS = {
+    natural: (a, b) => (a < b ? -1 : a > b ? 1 : 0),
+    reverse: (a, b) => BST_COMPARATORS.natural(b, a),
+    'case-insensitive': (a, b) => BST_COMPARATORS.natural(String(a).toLowerCase(), String(b).toLowerCase()),
+    length: (a, b) => String(a).length - String(b).length || BST_COMPARATORS.natural(a, b)
+};
+
+// Nodes hold whole data items; `key` picks the part that is ordered by
+// `compare`. Lookups (search, delete, the queries) take a key. `duplicates`
+// decides what an equal key does on insert: 'reject', 'count' (bump
+// node.count), or 'left' / 'right' (store another node on that side).
+// `replacement` picks which neighbour takes the place of a deleted node with
+// two children: the in-order 'successor' or 'predecessor'.
 class BST {
-    constructor() {
+    constructor({ compare = BST_COMPARATORS.natural, key = data => data, duplicates = 'reject', replacement = 'successor' } = {}) {
         this.root = null;
+        this.compare = compare;
+        this.key = key;
+        this.duplicates = duplicates;
+        this.replacement = replacement;
+    }
+
+    // Negative when key sorts before node's key
+    _cmp(key, node) {
+        return this.compare(key, this.key(node.data));
+    }
+
+    nodeLabel(node) {
+        const key = this.key(node.data);
+        return node.count > 1 ? `${key} ×${node.count}` : String(key);
     }
 
+    // Returns false when a duplicate is rejected
     insert(data) {
+        this.inserted = true;
         this.root = this._insertRec(this.root, data);
+        return this.inserted;
     }
 
     _insertRec(node, data) {
         if (node === null) return new TreeNode(data);
-        if (data < node.data) {
+        const cmp = this._cmp(this.key(data), node);
+        if (cmp === 0 && this.duplicates === 'reject') {
+            this.inserted = false;
+        } else if (cmp === 0 && this.duplicates === 'count') {
+            node.count++;
+        } else if (cmp < 0 || (cmp === 0 && this.duplicates === 'left')) {
             node.left = this._insertRec(node.left, data);
-        } else if (data > node.data) {
+        } else {
             node.right = this._insertRec(node.right, data);
         }
         return node;
     }
 
-    delete(data) {
-        this.root = this._deleteRec(this.root, data);
+    // Removes one occurrence of key; returns false when it is not there
+    delete(key) {
+        this.deleted = false;
+        this.root = this._deleteRec(this.root, key);
+        return this.deleted;
     }
 
-    _deleteRec(node, data) {
+    _deleteRec(node, key) {
         if (node === null) return node;
-        if (data < node.data) {
-            node.left = this._deleteRec(node.left, data);
-        } else if (data > node.data) {
-            node.right = this._deleteRec(node.right, data);
+        const cmp = this._cmp(key, node);
+        if (cmp < 0) {
+            node.left = this._deleteRec(node.left, key);
+        } else if (cmp > 0) {
+            node.right = this._deleteRec(node.right, key);
         } else {
+            this.deleted = true;
+            if (node.count > 1) {
+                node.count--;
+                return node;
+            }
             if (node.left === null) return node.right;
             if (node.right === null) return node.left;
-            node.data = this._minValue(node.right);
-            node.right = this._deleteRec(node.right, node.data);
+            const replacement = this.replacementFor(node);
+            node.data = replacement.data;
+            node.count = replacement.count;
+            if (this.replacement === 'successor') {
+                node.right = this._removeMin(node.right);
+            } else {
+                node.left = this._removeMax(node.left);
+            }
         }
         return node;
     }
 
+    // The node whose item moves up when node (with two children) is deleted
+    replacementFor(node) {
+        if (!node || !node.left || !node.right) return null;
+        return this.replacement === 'successor' ? this._minNode(node.right) : this._maxNode(node.left);
+    }
+
+    _minNode(node) {
+        while (node.left !== null) node = node.left;
+        return node;
+    }
+
+    _maxNode(node) {
+        while (node.right !== null) node = node.right;
+        return node;
+    }
+
     _minValue(node) {
-        let minv = node.data;
-        while (node.left !== null) {
-            minv = node.left.data;
-            node = node.left;
+        return this._minNode(node).data;
+    }
+
+    // Unlinks the leftmost node by identity, so an equal key elsewhere is untouched
+    _removeMin(node) {
+        if (node.left === null) return node.right;
+        node.left = this._removeMin(node.left);
+        return node;
+    }
+
+    _removeMax(node) {
+        if (node.right === null) return node.left;
+        node.right = this._removeMax(node.right);
+        return node;
+    }
+
+    // The query methods below return { node, path }: the answer (or null)
+    // and every node compared on the way, each with the decision made there.
+    search(key) {
+        const path = [];
+        let node = this.root;
+        while (node) {
+            const cmp = this._cmp(key, node);
+            if (cmp === 0) {
+                path.push({ node, decision: 'found' });
+                return { node, path };
+            }
+            const nodeKey = this.key(node.data);
+            path.push({ node, decision: cmp < 0 ? `${key} < ${nodeKey}, go left` : `${key} > ${nodeKey}, go right` });
+            node = cmp < 0 ? node.left : node.right;
+        }
+        return { node: null, path };
+    }
+
+    min() {
+        return this._extreme('left');
+    }
+
+    max() {
+        return this._extreme('right');
+    }
+
+    _extreme(side) {
+        const path = [];
+        let node = this.root;
+        while (node && node[side]) {
+            path.push({ node, decision: `go ${side}` });
+            node = node[side];
+        }
+        if (node) path.push({ node, decision: `no ${side} child, stop` });
+        return { node, path };
+    }
+
+    // Smallest key greater than key; key need not be in the tree
+    successor(key) {
+        return this._bound(key, cmp => cmp < 0, 'left');
+    }
+
+    // Largest key less than key
+    predecessor(key) {
+        return this._bound(key, cmp => cmp > 0, 'right');
+    }
+
+    // Largest key less than or equal to key
+    floor(key) {
+        return this._bound(key, cmp => cmp >= 0, 'right', true);
+    }
+
+    // Smallest key greater than or equal to key
+    ceil(key) {
+        return this._bound(key, cmp => cmp <= 0, 'left', true);
+    }
+
+    // Walks down remembering the last node whose comparison satisfied
+    // isCandidate; from a candidate the walk continues towards `side`
+    // looking for a closer one.
+    _bound(key, isCandidate, side, stopOnEqual = false) {
+        const other = side === 'left' ? 'right' : 'left';
+        const path = [];
+        let best = null;
+        let node = this.root;
+        while (node) {
+            const cmp = this._cmp(key, node);
+            if (stopOnEqual && cmp === 0) {
+                path.push({ node, decision: 'exact match' });
+                return { node, path };
+            }
+            if (isCandidate(cmp)) {
+                best = node;
+                path.push({ node, decision: `candidate ${this.key(node.data)}, go ${side}` });
+                node = node[side];
+            } else {
+                path.push({ node, decision: `go ${other}` });
+                node = node[other];
+            }
+        }
+        return { node: best, path };
+    }
+
+    // In-order walk with an explicit stack, stopping at the k-th visit
+    // (a counted node covers count ranks)
+    kthSmallest(k) {
+        const path = [];
+        const stack = [];
+        let node = this.root;
+        let count = 0;
+        while (node || stack.length) {
+            while (node) {
+                stack.push(node);
+                path.push({ node, decision: 'go left' });
+                node = node.left;
+            }
+            node = stack.pop();
+            count += node.count;
+            path.push({ node, decision: node.count > 1 ? `visit #${count - node.count + 1}-${count}` : `visit #${count}` });
+            if (count >= k) return { node, path };
+            node = node.right;
         }
-        return minv;
+        return { node: null, path };
+    }
+
+    height(node = this.root) {
+        if (!node) return 0;
+        return 1 + Math.max(this.height(node.left), this.height(node.right));
+    }
+
+    // Shape measures from one post-order pass. Diameter is the longest path
+    // between any two nodes, in edges; balanced means every node's subtree
+    // heights differ by at most one.
+    stats() {
+        let count = 0;
+        let leaves = 0;
+        let diameter = 0;
+        let balanced = true;
+        const visit = node => {
+            if (!node) return 0;
+            const left = visit(node.left);
+            const right = visit(node.right);
+            count++;
+            if (!node.left && !node.right) leaves++;
+            diameter = Math.max(diameter, left + right);
+            if (Math.abs(left - right) > 1) balanced = false;
+            return 1 + Math.max(left, right);
+        };
+        const height = visit(this.root);
+        return { height, count, leaves, diameter, balanced };
+    }
+
+    // Checks every node against the key range its ancestors allow, which
+    // also catches a node that is fine next to its parent but on the wrong
+    // side of a grandparent. Equal keys are only allowed when duplicates are
+    // stored as separate nodes; AVL rotations can then move them to either
+    // side. Returns { valid, node, message }.
+    validate() {
+        const allowEqual = this.duplicates === 'left' || this.duplicates === 'right';
+        const check = (node, low, high) => {
+            if (!node) return null;
+            const key = this.key(node.data);
+            if (low !== null) {
+                const cmp = this._cmp(this.key(low.data), node);
+                if (cmp > 0 || (cmp === 0 && !allowEqual)) {
+                    return { node, message: `${key} is in the right subtree of ${this.key(low.data)} but is not greater` };
+                }
+            }
+            if (high !== null) {
+                const cmp = this._cmp(this.key(high.data), node);
+                if (cmp < 0 || (cmp === 0 && !allowEqual)) {
+                    return { node, message: `${key} is in the left subtree of ${this.key(high.data)} but is not smaller` };
+                }
+            }
+            return check(node.left, low, node) || check(node.right, node, high);
+        };
+        const violation = check(this.root, null, null);
+        return violation ? { valid: false, ...violation } : { valid: true, node: null, message: 'Every key is inside the range its ancestors allow' };
+    }
+
+    // True when an in-order walk meets the keys in comparator order. Trees
+    // built from arbitrary traversals or imports need not satisfy this.
+    isOrdered() {
+        let previous = null;
+        let ordered = true;
+        this.inorder(node => {
+            if (previous && this.compare(this.key(previous.data), this.key(node.data)) > 0) ordered = false;
+            previous = node;
+        });
+        return ordered;
+    }
+
+    static linksOf(root) {
+        const links = new Map();
+        const visit = node => {
+            if (!node) return;
+            links.set(node, { left: node.left, right: node.right });
+            visit(node.left);
+            visit(node.right);
+        };
+        visit(root);
+        return links;
+    }
+
+    // Rebuilds the one tree that has these traversals; values must be
+    // distinct. Returns { root, steps }, each step holding the inorder
+    // range being split, where it splits, and the partial tree so far.
+    static fromTraversals(sequence, inorder, order = 'preorder') {
+        if (sequence.length !== inorder.length || sequence.length === 0) {
+            throw new Error('Both sequences must be non-empty and the same length');
+        }
+        if (new Set(inorder).size !== inorder.length) {
+            throw new Error('Values must be distinct to rebuild a tree');
+        }
+        const position = new Map(inorder.map((value, i) => [value, i]));
+        const steps = [];
+        let root = null;
+        // Preorder is read from the front; postorder from the back, right subtree first
+        const isPre = order === 'preorder';
+        let next = isPre ? 0 : sequence.length - 1;
+
+        const build = (lo, hi, attach) => {
+            if (lo > hi) return;
+            const value = sequence[next];
+            next += isPre ? 1 : -1;
+            const split = position.get(value);
+            if (split === undefined || split < lo || split > hi) {
+                throw new Error(`${value} cannot be the root of inorder[${lo}..${hi}] - the sequences do not match`);
+            }
+            const node = new TreeNode(value);
+            attach(node);
+            steps.push({
+                note: `${isPre ? 'Next preorder' : 'Last unused postorder'} value ${value} is the root of inorder[${lo}..${hi}]: ${split - lo} to the left, ${hi - split} to the right`,
+                root, range: [lo, hi], split, links: BST.linksOf(root)
+            });
+            const buildLeft = () => build(lo, split - 1, child => { node.left = child; });
+            const buildRight = () => build(split + 1, hi, child => { node.right = child; });
+            if (isPre) {
+                buildLeft();
+                buildRight();
+            } else {
+                buildRight();
+                buildLeft();
+            }
+        };
+        build(0, inorder.length - 1, node => { root = node; });
+        return { root, steps };
+    }
+
+    // Balanced tree from a sorted array: the middle value becomes the root
+    // and each half is built the same way
+    static fromSorted(values) {
+        const steps = [];
+        let root = null;
+        const build = (lo, hi, attach) => {
+            if (lo > hi) return;
+            const mid = Math.floor((lo + hi) / 2);
+            const node = new TreeNode(values[mid]);
+            attach(node);
+            steps.push({
+                note: `Middle of [${lo}..${hi}] is index ${mid} (${values[mid]})`,
+                root, range: [lo, hi], split: mid, links: BST.linksOf(root)
+            });
+            build(lo, mid - 1, child => { node.left = child; });
+            build(mid + 1, hi, child => { node.right = child; });
+        };
+        build(0, values.length - 1, node => { root = node; });
+        return { root, steps };
+    }
+
+    // LeetCode format: breadth-first values with null for each missing
+    // child, trailing nulls dropped
+    static toLevelOrder(root) {
+        const result = [];
+        const queue = new Queue();
+        queue.enqueue(root);
+        while (!queue.isEmpty()) {
+            const node = queue.dequeue();
+            result.push(node ? node.data : null);
+            if (node) {
+                queue.enqueue(node.left);
+                queue.enqueue(node.right);
+            }
+        }
+        while (result.length && result[result.length - 1] === null) result.pop();
+        return result;
+    }
+
+    static fromLevelOrder(values) {
+        if (!Array.isArray(values)) throw new Error('Level order must be an array like [1,2,null,3]');
+        if (values.length === 0 || values[0] === null) return null;
+        const root = new TreeNode(values[0]);
+        const queue = new Queue();
+        queue.enqueue(root);
+        let i = 1;
+        while (i < values.length) {
+            const node = queue.dequeue();
+            if (!node) throw new Error(`Value at index ${i} has no parent`);
+            ['left', 'right'].forEach(side => {
+                if (i < values.length && values[i] !== null) {
+                    node[side] = new TreeNode(values[i]);
+                    queue.enqueue(node[side]);
+                }
+                i++;
+            });
+        }
+        return root;
+    }
+
+    static toJSON(root) {
+        if (!root) return null;
+        const json = { data: root.data, left: BST.toJSON(root.left), right: BST.toJSON(root.right) };
+        if (root.count > 1) json.count = root.count;
+        return json;
+    }
+
+    static fromJSON(json) {
+        if (json === null || json === undefined) return null;
+        if (typeof json !== 'object' || !('data' in json)) {
+            throw new Error('Each JSON node needs a "data" field (plus optional left/right/count)');
+        }
+        const node = new TreeNode(json.data);
+        if (Number.isInteger(json.count) && json.count > 1) node.count = json.count;
+        node.left = BST.fromJSON(json.left);
+        node.right = BST.fromJSON(json.right);
+        return node;
     }
 
     inorder(callback) {
@@ -83,6 +466,107 @@ class BST {
         this._postorderRec(this.root, callback);
     }
 
+    // Iterative traversals that record every step together with the
+    // contents of the auxiliary Queue/Stack, for TreeVisualizer to replay.
+    // Steps look like { node, note, visit, aux: [nodes], threads: [[from, to]] }.
+    traversalSteps(type) {
+        const steps = [];
+        const record = (node, note, aux, visit = false, threads = []) => {
+            steps.push({ node, note, visit, aux: aux ? aux.toArray() : [], threads: threads.slice() });
+        };
+
+        if (type === 'level') {
+            const queue = new Queue();
+            if (this.root) {
+                queue.enqueue(this.root);
+                record(this.root, `enqueue ${this.key(this.root.data)}`, queue);
+            }
+            while (!queue.isEmpty()) {
+                const node = queue.dequeue();
+                record(node, `dequeue ${this.key(node.data)} and visit it`, queue, true);
+                [node.left, node.right].filter(Boolean).forEach(child => {
+                    queue.enqueue(child);
+                    record(child, `enqueue child ${this.key(child.data)}`, queue);
+                });
+            }
+        } else if (type === 'iter-preorder') {
+            const stack = new Stack();
+            if (this.root) {
+                stack.push(this.root);
+                record(this.root, `push ${this.key(this.root.data)}`, stack);
+            }
+            while (!stack.isEmpty()) {
+                const node = stack.pop();
+                record(node, `pop ${this.key(node.data)} and visit it`, stack, true);
+                // Right goes in first so the left subtree comes out first
+                [node.right, node.left].filter(Boolean).forEach(child => {
+                    stack.push(child);
+                    record(child, `push ${child === node.right ? 'right' : 'left'} child ${this.key(child.data)}`, stack);
+                });
+            }
+        } else if (type === 'iter-inorder') {
+            const stack = new Stack();
+            let node = this.root;
+            while (node || !stack.isEmpty()) {
+                while (node) {
+                    stack.push(node);
+                    record(node, `push ${this.key(node.data)}, go left`, stack);
+                    node = node.left;
+                }
+                node = stack.pop();
+                record(node, `pop ${this.key(node.data)} and visit it, then go right`, stack, true);
+                node = node.right;
+            }
+        } else if (type === 'iter-postorder') {
+            const stack = new Stack();
+            let node = this.root;
+            let lastVisited = null;
+            while (node || !stack.isEmpty()) {
+                if (node) {
+                    stack.push(node);
+                    record(node, `push ${this.key(node.data)}, go left`, stack);
+                    node = node.left;
+                } else {
+                    const top = stack.peek();
+                    if (top.right && top.right !== lastVisited) {
+                        node = top.right;
+                        record(top, `right subtree of ${this.key(top.data)} not done yet, go right`, stack);
+                    } else {
+                        stack.pop();
+                        lastVisited = top;
+                        record(top, `both subtrees of ${this.key(top.data)} done - pop and visit it`, stack, true);
+                    }
+                }
+            }
+        } else if (type === 'morris') {
+            // Threads are real right links set on the in-order predecessor
+            // and removed on the second pass, so the tree ends up unchanged
+            const threads = [];
+            let node = this.root;
+            while (node) {
+                if (!node.left) {
+                    record(node, `no left child - visit ${this.key(node.data)}, go right`, null, true, threads);
+                    node = node.right;
+                    continue;
+                }
+                let pred = node.left;
+                while (pred.right && pred.right !== node) pred = pred.right;
+                if (!pred.right) {
+                    pred.right = node;
+                    threads.push([pred, node]);
+                    record(node, `thread ${this.key(pred.data)}.right → ${this.key(node.data)}, go left`, null, false, threads);
+                    node = node.left;
+                } else {
+                    pred.right = null;
+                    threads.splice(threads.findIndex(([from]) => from === pred), 1);
+                    record(node, `thread from ${this.key(pred.data)} found again - remove it, visit ${this.key(node.data)}, go right`, null, true, threads);
+                    node = node.right;
+                }
+            }
+        }
+        return steps;
+    }
+
     _postorderRec(node, callback) {
         if (node !== null) {
             this._postorderRec(node.left, callback);
@@ -92,14 +576,170 @@ class BST {
     }
 }
 
+// Self-balancing BST. Insert and delete walk down iteratively, keeping the
+// path, then fix heights and rotate on the way back up. After the plain
+// insert/delete and after every single rotation a snapshot of the links is
+// pushed to `steps`, so the visualizer can animate each rotation.
+class AVLTree extends BST {
+    constructor(options) {
+        super(options);
+        this.steps = [];
+    }
+
+    static heightOf(node) {
+        return node ? node.height : 0;
+    }
+
+    static balanceOf(node) {
+        return AVLTree.heightOf(node.left) - AVLTree.heightOf(node.right);
+    }
+
+    _update(node) {
+        node.height = 1 + Math.max(AVLTree.heightOf(node.left), AVLTree.heightOf(node.right));
+    }
+
+    _snapshot(label) {
+        const links = new Map();
+        this.preorder(node => links.set(node, { left: node.left, right: node.right }));
+        this.steps.push({ label, root: this.root, links });
+    }
+
+    insert(data) {
+        this.steps = [];
+        const key = this.key(data);
+        const path = [];
+        let goLeft = false;
+        let node = this.root;
+        while (node) {
+            const cmp = this._cmp(key, node);
+            if (cmp === 0 && this.duplicates === 'reject') return false;
+            if (cmp === 0 && this.duplicates === 'count') {
+                node.count++;
+                this._snapshot(`${key} is already here - count it`);
+                return true;
+            }
+            path.push(node);
+            goLeft = cmp < 0 || (cmp === 0 && this.duplicates === 'left');
+            node = goLeft ? node.left : node.right;
+        }
+        const created = new TreeNode(data);
+        created.height = 1;
+        this._replaceChild(path[path.length - 1], null, created, goLeft);
+        this._snapshot(`Insert ${key}`);
+        this._rebalancePath(path);
+        return true;
+    }
+
+    delete(key) {
+        this.steps = [];
+        const path = [];
+        let node = this.root;
+        while (node && this._cmp(key, node) !== 0) {
+            path.push(node);
+            node = this._cmp(key, node) < 0 ? node.left : node.right;
+        }
+        if (!node) return false;
+        if (node.count > 1) {
+            node.count--;
+            this._snapshot(`${key} was counted more than once - decrement its count`);
+            return true;
+        }
+
+        // Two children: copy the replacement up, then remove that node instead
+        if (node.left && node.right) {
+            path.push(node);
+            const toward = this.replacement === 'successor' ? 'left' : 'right';
+            let replacement = this.replacement === 'successor' ? node.right : node.left;
+            while (replacement[toward]) {
+                path.push(replacement);
+                replacement = replacement[toward];
+            }
+            node.data = replacement.data;
+            node.count = replacement.count;
+            node = replacement;
+        }
+        const parent = path[path.length - 1];
+        this._replaceChild(parent, node, node.left || node.right);
+        this._snapshot(`Delete ${key}`);
+        this._rebalancePath(path);
+        return true;
+    }
+
+    // Points parent's link at oldChild (or, for an insert, the left side
+    // when goLeft) to newChild; no parent means newChild becomes the root.
+    _replaceChild(parent, oldChild, newChild, goLeft) {
+        if (!parent) {
+            this.root = newChild;
+        } else if (oldChild ? parent.left === oldChild : goLeft) {
+            parent.left = newChild;
+        } else {
+            parent.right = newChild;
+        }
+    }
+
+    _rebalancePath(path) {
+        for (let i = path.length - 1; i >= 0; i--) {
+            const node = path[i];
+            const parent = i > 0 ? path[i - 1] : null;
+            this._update(node);
+            const balance = AVLTree.balanceOf(node);
+            if (balance > 1) {
+                if (AVLTree.balanceOf(node.left) < 0) {
+                    node.left = this._rotateLeft(node.left);
+                    this._snapshot(`LR case at ${this.key(node.data)}: rotate left at ${this.key(node.left.left.data)}`);
+                    this._replaceChild(parent, node, this._rotateRight(node));
+                    this._snapshot(`LR case at ${this.key(node.data)}: rotate right`);
+                } else {
+                    this._replaceChild(parent, node, this._rotateRight(node));
+                    this._snapshot(`LL case at ${this.key(node.data)}: rotate right`);
+                }
+            } else if (balance < -1) {
+                if (AVLTree.balanceOf(node.right) > 0) {
+                    node.right = this._rotateRight(node.right);
+                    this._snapshot(`RL case at ${this.key(node.data)}: rotate right at ${this.key(node.right.right.data)}`);
+                    this._replaceChild(parent, node, this._rotateLeft(node));
+                    this._snapshot(`RL case at ${this.key(node.data)}: rotate left`);
+                } else {
+                    this._replaceChild(parent, node, this._rotateLeft(node));
+                    this._snapshot(`RR case at ${this.key(node.data)}: rotate left`);
+                }
+            }
+        }
+    }
+
+    _rotateRight(node) {
+        const pivot = node.left;
+        node.left = pivot.right;
+        pivot.right = node;
+        this._update(node);
+        this._update(pivot);
+        return pivot;
+    }
+
+    _rotateLeft(node) {
+        const pivot = node.right;
+        node.right = pivot.left;
+        pivot.left = node;
+        this._update(node);
+        this._update(pivot);
+        return pivot;
+    }
+}
+
 class TreeVisualizer {
     static init(visualizationArea, operationsDiv, timeComplexityP, spaceComplexityP, animationSpeed) {
+        this.mode = 'bst';
+        this.keyType = 'number';
+        this.options = {};
         this.tree = new BST();
         this.visualizationArea = visualizationArea;
         this.operationsDiv = operationsDiv;
         this.timeComplexityP = timeComplexityP;
         this.spaceComplexityP = spaceComplexityP;
         this.animationSpeed = animationSpeed;
+        this.memoryView = false;
+        this.lastVisited = null;
+        this.annotation = 'none';
 
         this.setupUI();
         this.updateVisualization();
@@ -109,13 +749,117 @@ class TreeVisualizer {
     static setupUI() {
         this.operationsDiv.innerHTML = `
             <h3>Binary Search Tree Operations</h3>
-            <input type="number" id="tree-value" placeholder="Enter number">
+            <select id="tree-mode">
+                <option value="bst">Plain BST</option>
+                <option value="avl">AVL (self-balancing)</option>
+            </select>
+            <br>
+            <select id="tree-key-type">
+                <option value="number">Number keys</option>
+                <option value="string">String keys</option>
+                <option value="record">JSON records</option>
+            </select>
+            <input type="text" id="tree-key-field" placeholder="Key field, e.g. name" style="display: none;">
+            <select id="tree-comparator">
+                <option value="natural">Ascending</option>
+                <option value="reverse">Descending</option>
+                <option value="case-insensitive">Case-insensitive</option>
+                <option value="length">By length, then ascending</option>
+            </select>
+            <select id="tree-duplicates">
+                <option value="reject">Duplicates: reject</option>
+                <option value="count">Duplicates: count on node</option>
+                <option value="left">Duplicates: go left</option>
+                <option value="right">Duplicates: go right</option>
+            </select>
+            <button id="tree-apply-btn" class="tooltip">Apply
+                <span class="tooltiptext">Start a new, empty tree with these key settings</span>
+            </button>
+            <br>
+            <input type="text" id="tree-value" placeholder="Enter number">
             <button id="insert-btn" class="tooltip">Insert
                 <span class="tooltiptext">O(h) where h is height</span>
             </button>
             <button id="delete-btn" class="tooltip">Delete
                 <span class="tooltiptext">O(h) where h is height</span>
             </button>
+            <button id="tree-memory-btn" class="tooltip">Memory View
+                <span class="tooltiptext">Show nodes at their addresses in a simulated heap</span>
+            </button>
+            <br>
+            <select id="tree-delete-strategy">
+                <option value="successor">Delete: replace with in-order successor</option>
+                <option value="predecessor">Delete: replace with in-order predecessor</option>
+            </select>
+            <h4>Inspector</h4>
+            <p id="tree-inspector"></p>
+            <select id="tree-annotation">
+                <option value="none">Annotate: nothing</option>
+                <option value="depth">Annotate: depth</option>
+                <option value="size">Annotate: subtree size</option>
+                <option value="balance">Annotate: balance factor</option>
+            </select>
+            <button id="validate-bst-btn" class="tooltip">Validate BST
+                <span class="tooltiptext">Check every key against the range its ancestors allow - O(n)</span>
+            </button>
+            <p id="tree-validation"></p>
+            <h4>Queries</h4>
+            <button id="search-btn" class="tooltip">Search
+                <span class="tooltiptext">Follow one root-to-leaf path - O(h)</span>
+            </button>
+            <button id="min-btn" class="tooltip">Min
+                <span class="tooltiptext">Keep going left - O(h)</span>
+            </button>
+            <button id="max-btn" class="tooltip">Max
+                <span class="tooltiptext">Keep going right - O(h)</span>
+            </button>
+            <button id="successor-btn" class="tooltip">Successor
+                <span class="tooltiptext">Smallest key greater than the value - O(h)</span>
+            </button>
+            <button id="predecessor-btn" class="tooltip">Predecessor
+                <span class="tooltiptext">Largest key less than the value - O(h)</span>
+            </button>
+            <button id="floor-btn" class="tooltip">Floor
+                <span class="tooltiptext">Largest key &le; the value - O(h)</span>
+            </button>
+            <button id="ceil-btn" class="tooltip">Ceil
+                <span class="tooltiptext">Smallest key &ge; the value - O(h)</span>
+            </button>
+            <button id="kth-btn" class="tooltip">k-th Smallest
+                <span class="tooltiptext">In-order walk that stops at the k-th node (value = k) - O(h + k)</span>
+            </button>
+            <p id="tree-status"></p>
+            <p id="query-result"></p>
+            <h4>Build &amp; Serialize</h4>
+            <select id="build-order">
+                <option value="preorder">Preorder + Inorder</option>
+                <option value="postorder">Postorder + Inorder</option>
+            </select>
+            <input type="text" id="build-sequence" placeholder="Preorder/postorder, e.g. 3,9,20,15,7">
+            <input type="text" id="build-inorder" placeholder="Inorder, e.g. 9,3,15,20,7">
+            <button id="build-traversal-btn" class="tooltip">Build from Traversals
+                <span class="tooltiptext">Each root splits the inorder sequence in two - O(n) with a position map</span>
+            </button>
+            <br>
+            <input type="text" id="build-sorted" placeholder="Sorted values, e.g. 1,2,3,4,5,6,7">
+            <button id="build-sorted-btn" class="tooltip">Build Balanced
+                <span class="tooltiptext">Middle value as root, recurse on each half - O(n)</span>
+            </button>
+            <br>
+            <textarea id="tree-serial" rows="3" placeholder="[3,9,20,null,null,15,7]"></textarea>
+            <br>
+            <button id="export-level-btn" class="tooltip">Export Level Order
+                <span class="tooltiptext">LeetCode-style array with nulls</span>
+            </button>
+            <button id="import-level-btn" class="tooltip">Import Level Order
+                <span class="tooltiptext">Paste a LeetCode test case such as [1,null,2]</span>
+            </button>
+            <button id="export-json-btn" class="tooltip">Export JSON
+                <span class="tooltiptext">Nested {data, left, right} objects</span>
+            </button>
+            <button id="import-json-btn" class="tooltip">Import JSON
+                <span class="tooltiptext">Load nested {data, left, right} objects</span>
+            </button>
             <h4>Traversals</h4>
             <button id="inorder-btn" class="tooltip">Inorder
                 <span class="tooltiptext">O(n)</span>
@@ -126,50 +870,564 @@ class TreeVisualizer {
             <button id="postorder-btn" class="tooltip">Postorder
                 <span class="tooltiptext">O(n)</span>
             </button>
+            <br>
+            <button id="level-btn" class="tooltip">Level Order
+                <span class="tooltiptext">BFS with a queue - O(n) time, O(w) space for width w</span>
+            </button>
+            <button id="iter-inorder-btn" class="tooltip">Iterative Inorder
+                <span class="tooltiptext">Explicit stack instead of recursion - O(h) space</span>
+            </button>
+            <button id="iter-preorder-btn" class="tooltip">Iterative Preorder
+                <span class="tooltiptext">Pop, visit, push right then left - O(h) space</span>
+            </button>
+            <button id="iter-postorder-btn" class="tooltip">Iterative Postorder
+                <span class="tooltiptext">One stack plus the last visited node - O(h) space</span>
+            </button>
+            <button id="morris-btn" class="tooltip">Morris Inorder
+                <span class="tooltiptext">Temporary threads instead of a stack - O(1) extra space</span>
+            </button>
             <p id="traversal-result"></p>
         `;
 
+        document.getElementById('tree-mode').addEventListener('change', (e) => this.changeMode(e.target.value));
+        document.getElementById('tree-key-type').addEventListener('change', (e) => {
+            document.getElementById('tree-key-field').style.display = e.target.value === 'record' ? '' : 'none';
+        });
+        document.getElementById('tree-apply-btn').addEventListener('click', () => this.applyKeySettings());
         document.getElementById('insert-btn').addEventListener('click', () => this.insert());
         document.getElementById('delete-btn').addEventListener('click', () => this.delete());
+        document.getElementById('tree-memory-btn').addEventListener('click', (e) => this.toggleMemoryView(e.currentTarget));
+        document.getElementById('tree-delete-strategy').addEventListener('change', (e) => {
+            this.options.replacement = e.target.value;
+            this.tree.replacement = e.target.value;
+        });
+        document.getElementById('tree-annotation').addEventListener('change', (e) => {
+            this.annotation = e.target.value;
+            this.updateVisualization();
+        });
+        document.getElementById('validate-bst-btn').addEventListener('click', () => this.validateTree());
+        document.getElementById('search-btn').addEventListener('click', () => this.query('search', 'Search'));
+        document.getElementById('min-btn').addEventListener('click', () => this.query('min', 'Min', false));
+        document.getElementById('max-btn').addEventListener('click', () => this.query('max', 'Max', false));
+        document.getElementById('successor-btn').addEventListener('click', () => this.query('successor', 'Successor'));
+        document.getElementById('predecessor-btn').addEventListener('click', () => this.query('predecessor', 'Predecessor'));
+        document.getElementById('floor-btn').addEventListener('click', () => this.query('floor', 'Floor'));
+        document.getElementById('ceil-btn').addEventListener('click', () => this.query('ceil', 'Ceil'));
+        document.getElementById('kth-btn').addEventListener('click', () => this.query('kthSmallest', 'k-th smallest'));
+        document.getElementById('build-traversal-btn').addEventListener('click', () => this.buildFromTraversals());
+        document.getElementById('build-sorted-btn').addEventListener('click', () => this.buildFromSorted());
+        document.getElementById('export-level-btn').addEventListener('click', () => this.exportTree('level'));
+        document.getElementById('import-level-btn').addEventListener('click', () => this.importTree('level'));
+        document.getElementById('export-json-btn').addEventListener('click', () => this.exportTree('json'));
+        document.getElementById('import-json-btn').addEventListener('click', () => this.importTree('json'));
         document.getElementById('inorder-btn').addEventListener('click', () => this.traverse('inorder'));
         document.getElementById('preorder-btn').addEventListener('click', () => this.traverse('preorder'));
         document.getElementById('postorder-btn').addEventListener('click', () => this.traverse('postorder'));
+        document.getElementById('level-btn').addEventListener('click', () => this.traverseWithSteps('level', 'Level order'));
+        document.getElementById('iter-inorder-btn').addEventListener('click', () => this.traverseWithSteps('iter-inorder', 'Iterative inorder'));
+        document.getElementById('iter-preorder-btn').addEventListener('click', () => this.traverseWithSteps('iter-preorder', 'Iterative preorder'));
+        document.getElementById('iter-postorder-btn').addEventListener('click', () => this.traverseWithSteps('iter-postorder', 'Iterative postorder'));
+        document.getElementById('morris-btn').addEventListener('click', () => this.traverseWithSteps('morris', 'Morris inorder'));
     }
 
-    static async insert() {
-        const value = parseInt(document.getElementById('tree-value').value);
-        if (isNaN(value)) return;
-        this.tree.insert(value);
+    static createTree() {
+        return this.mode === 'avl' ? new AVLTree(this.options) : new BST(this.options);
+    }
+
+    // Rebuilds the tree in the new mode from the current items in preorder,
+    // which reproduces the same shape when switching back to a plain BST
+    static async changeMode(mode) {
+        const nodes = [];
+        this.tree.preorder(node => nodes.push(node));
+        this.mode = mode;
+        this.tree = this.createTree();
+        nodes.forEach(node => {
+            for (let i = 0; i < node.count; i++) this.tree.insert(node.data);
+        });
+        await this.updateVisualization();
+        this.updateComplexity();
+    }
+
+    static async applyKeySettings() {
+        const keyType = document.getElementById('tree-key-type').value;
+        const field = document.getElementById('tree-key-field').value.trim();
+        if (keyType === 'record' && field === '') {
+            alert('Please enter the field to use as the key');
+            return;
+        }
+        this.keyType = keyType;
+        this.keyField = field;
+        this.options = {
+            compare: BST_COMPARATORS[document.getElementById('tree-comparator').value],
+            key: keyType === 'record' ? record => record[field] : data => data,
+            duplicates: document.getElementById('tree-duplicates').value,
+            replacement: document.getElementById('tree-delete-strategy').value
+        };
+        this.tree = this.createTree();
+        document.getElementById('tree-value').placeholder = {
+            number: 'Enter number',
+            string: 'Enter text',
+            record: `e.g. {"${field}": "bob", "age": 30}`
+        }[keyType];
         await this.updateVisualization();
         this.updateComplexity();
+    }
+
+    // Parses the input as a key, or (for insert) as a whole item. Record
+    // keys may be numbers or strings, so JSON is tried before plain text.
+    static readInput(asItem = false) {
+        const text = document.getElementById('tree-value').value.trim();
+        if (text === '') {
+            alert('Please enter a value');
+            return undefined;
+        }
+        if (this.keyType === 'number') {
+            const value = parseFloat(text);
+            if (isNaN(value)) {
+                alert('Please enter a number');
+                return undefined;
+            }
+            return value;
+        }
+        if (this.keyType === 'string') return text;
+        if (!asItem) {
+            try {
+                return JSON.parse(text);
+            } catch (e) {
+                return text;
+            }
+        }
+        let record;
+        try {
+            record = JSON.parse(text);
+        } catch (e) {
+            alert('Please enter the record as JSON');
+            return undefined;
+        }
+        if (record === null || typeof record !== 'object' || !Object.hasOwn(record, this.keyField)) {
+            alert(`The record needs a "${this.keyField}" field`);
+            return undefined;
+        }
+        return record;
+    }
+
+    static async insert() {
+        const item = this.readInput(true);
+        if (item === undefined) return;
+        let inserted = true;
+        await this.applyChange(() => {
+            inserted = this.tree.insert(item);
+        });
+        if (!inserted) {
+            alert(`${this.tree.key(item)} is already in the tree (duplicates are rejected)`);
+            return;
+        }
         document.getElementById('tree-value').value = '';
     }
 
     static async delete() {
-        const value = parseInt(document.getElementById('tree-value').value);
-        if (isNaN(value)) return;
-        this.tree.delete(value);
+        const key = this.readInput();
+        if (key === undefined) return;
+        const target = this.tree.search(key).node;
+        const replacement = target && target.count === 1 ? this.tree.replacementFor(target) : null;
+        if (replacement) await this.showReplacement(target, replacement);
+        let deleted = true;
+        await this.applyChange(() => {
+            deleted = this.tree.delete(key);
+        });
+        if (!deleted) {
+            alert(`${key} is not in the tree`);
+            return;
+        }
+        document.getElementById('tree-value').value = '';
+    }
+
+    // Marks the node about to be deleted and the neighbour whose item will
+    // move up into it, before anything changes
+    static async showReplacement(target, replacement) {
+        const elements = this.nodeElementMap();
+        elements.get(target).classList.add('path-node');
+        elements.get(replacement).classList.add('found-node');
+        const side = this.tree.replacement === 'successor'
+            ? 'successor (leftmost node of the right subtree)'
+            : 'predecessor (rightmost node of the left subtree)';
+        document.getElementById('tree-status').textContent =
+            `${this.tree.nodeLabel(target)} has two children: its in-order ${side} ${this.tree.nodeLabel(replacement)} moves up to replace it`;
+        await Animations.sleep(this.animationSpeed * 2);
+    }
+
+    // In AVL mode the change is replayed from the tree's snapshots so every
+    // rotation slides the existing node elements to their new places
+    static async applyChange(change) {
+        const elements = this.nodeElementMap();
+        change();
+        if (this.mode === 'avl' && !this.memoryView) {
+            await this.playSnapshots(this.tree.steps, elements);
+        }
         await this.updateVisualization();
         this.updateComplexity();
-        document.getElementById('tree-value').value = '';
+    }
+
+    static async playSnapshots(steps, elements) {
+        const treeDiv = this.visualizationArea.querySelector('.tree');
+        const statusP = document.getElementById('tree-status');
+        for (const step of steps) {
+            const positions = TreeLayout.layout(step.root, node => [step.links.get(node).left, step.links.get(node).right], TreeLayout.availableWidth(treeDiv));
+            treeDiv.querySelectorAll('.tree-line').forEach(line => line.remove());
+
+            elements.forEach((element, node) => {
+                if (!positions.has(node)) {
+                    element.remove();
+                    elements.delete(node);
+                }
+            });
+            positions.forEach(({ x, y }, node) => {
+                let element = elements.get(node);
+                if (!element) {
+                    element = document.createElement('div');
+                    element.className = 'tree-node fade-in';
+                    treeDiv.appendChild(element);
+                    elements.set(node, element);
+                }
+                element.textContent = this.tree.nodeLabel(node);
+                element.style.transition = `all ${this.animationSpeed}ms ease`;
+                element.style.left = `${x - 25}px`;
+                element.style.top = `${y}px`;
+            });
+            this.annotateBalance(step.root, step.links, elements);
+            statusP.textContent = step.label;
+            await Animations.sleep(this.animationSpeed);
+
+            step.links.forEach(({ left, right }, node) => {
+                const from = positions.get(node);
+                [left, right].filter(Boolean).forEach(child => {
+                    const to = positions.get(child);
+                    TreeLayout.drawLine(treeDiv, from.x, from.y + 25, to.x, to.y - 25);
+                });
+            });
+            await Animations.sleep(this.animationSpeed / 2);
+        }
+    }
+
+    // Writes each node's balance factor above it, flagging any outside -1..1
+    static annotateBalance(root, links, elements) {
+        const height = node => node ? 1 + Math.max(height(links.get(node).left), height(links.get(node).right)) : 0;
+        elements.forEach((element, node) => {
+            if (!links.has(node)) return;
+            const balance = height(links.get(node).left) - height(links.get(node).right);
+            const label = document.createElement('span');
+            label.className = 'node-annotation balance-label';
+            label.textContent = `bf ${balance}`;
+            if (Math.abs(balance) > 1) label.classList.add('unbalanced');
+            element.appendChild(label);
+        });
+    }
+
+    // Writes each node's depth or subtree size beside it
+    static annotateNodes(kind, elements) {
+        const values = new Map();
+        const visit = (node, depth) => {
+            if (!node) return 0;
+            const size = 1 + visit(node.left, depth + 1) + visit(node.right, depth + 1);
+            values.set(node, kind === 'depth' ? depth : size);
+            return size;
+        };
+        visit(this.tree.root, 0);
+        elements.forEach((element, node) => {
+            const label = document.createElement('span');
+            label.className = 'node-annotation inspect-label';
+            label.textContent = `${kind === 'depth' ? 'd' : 'n'} ${values.get(node)}`;
+            element.appendChild(label);
+        });
+    }
+
+    static refreshInspector() {
+        const { height, count, leaves, diameter, balanced } = this.tree.stats();
+        document.getElementById('tree-inspector').innerHTML = `
+            Height: ${height} &middot; Nodes: ${count} &middot; Leaves: ${leaves} &middot;
+            Diameter: ${diameter} edge${diameter === 1 ? '' : 's'} &middot; ${balanced ? 'Balanced' : 'Unbalanced'}
+        `;
+        document.getElementById('tree-validation').textContent = '';
+    }
+
+    static async validateTree() {
+        const { valid, node, message } = this.tree.validate();
+        await this.updateVisualization();
+        if (node) this.nodeElementMap().get(node).classList.add('invalid-node');
+        const validation = document.getElementById('tree-validation');
+        validation.className = valid ? 'bst-valid' : 'bst-invalid';
+        validation.textContent = valid ? `Valid BST - ${message.toLowerCase()}` : `Not a valid BST: ${message}`;
+    }
+
+    // Runs one of the BST queries and replays its path: each compared node
+    // is highlighted with the decision taken there, and the visited count
+    // feeds updateComplexity.
+    static async query(method, label, needsValue = true) {
+        let value;
+        if (method === 'kthSmallest') {
+            value = parseInt(document.getElementById('tree-value').value);
+            if (isNaN(value) || value < 1) {
+                alert('Please enter k (1 or more)');
+                return;
+            }
+        } else if (needsValue) {
+            value = this.readInput();
+            if (value === undefined) return;
+        }
+        if (!this.tree.root) {
+            alert('Tree is empty!');
+            return;
+        }
+        const { node, path } = needsValue ? this.tree[method](value) : this.tree[method]();
+        const resultP = document.getElementById('query-result');
+
+        await this.updateVisualization();
+        const elements = this.nodeElementMap();
+        for (let i = 0; i < path.length; i++) {
+            const element = elements.get(path[i].node);
+            element.querySelectorAll('.decision-label').forEach(l => l.remove());
+            element.classList.add('path-node');
+            const decision = document.createElement('span');
+            decision.className = 'node-annotation decision-label';
+            decision.textContent = path[i].decision;
+            element.appendChild(decision);
+            this.lastVisited = i + 1;
+            resultP.textContent = `${label}: ${path[i].decision} (visited ${i + 1})`;
+            this.updateComplexity();
+            await Animations.sleep(this.animationSpeed);
+        }
+
+        if (node) elements.get(node).classList.add('found-node');
+        const argument = needsValue ? `(${value})` : '';
+        const answer = node ? (this.keyType === 'record' ? JSON.stringify(node.data) : this.tree.nodeLabel(node)) : 'none';
+        resultP.textContent = `${label}${argument} = ${answer} - visited ${path.length} node${path.length === 1 ? '' : 's'}, height ${this.tree.height()}`;
+    }
+
+    // drawTree and drawMemory both add nodes in preorder, so the two lists line up
+    static nodeElementMap() {
+        const nodes = [];
+        this.tree.preorder(node => nodes.push(node));
+        const elements = this.visualizationArea.querySelectorAll(this.memoryView ? '.memory-cell' : '.tree-node');
+        return new Map(nodes.map((node, i) => [node, elements[i]]));
+    }
+
+    // Splits a comma/space separated list into keys of the current type
+    static parseSequence(id) {
+        const tokens = document.getElementById(id).value.split(/[\s,]+/).filter(token => token !== '');
+        if (this.keyType === 'record') {
+            alert('Records cannot be typed as a sequence - use Import JSON instead');
+            return null;
+        }
+        if (tokens.length === 0) {
+            alert('Please enter some values');
+            return null;
+        }
+        if (this.keyType === 'string') return tokens;
+        const values = tokens.map(Number);
+        if (values.some(isNaN)) {
+            alert('Please enter numbers only');
+            return null;
+        }
+        return values;
+    }
+
+    static async buildFromTraversals() {
+        const order = document.getElementById('build-order').value;
+        const sequence = this.parseSequence('build-sequence');
+        const inorder = sequence && this.parseSequence('build-inorder');
+        if (!inorder) return;
+        let built;
+        try {
+            built = BST.fromTraversals(sequence, inorder, order);
+        } catch (error) {
+            alert(error.message);
+            return;
+        }
+        await this.playBuild(built.steps, inorder);
+        await this.loadRoot(built.root);
+    }
+
+    static async buildFromSorted() {
+        const values = this.parseSequence('build-sorted');
+        if (!values) return;
+        if (values.some((value, i) => i > 0 && this.tree.compare(values[i - 1], value) >= 0)) {
+            alert('Values must be distinct and already sorted for the current comparator');
+            return;
+        }
+        const built = BST.fromSorted(values);
+        await this.playBuild(built.steps, values);
+        await this.loadRoot(built.root);
+    }
+
+    // Shows the sequence above the partial tree for each recorded split:
+    // the active range is outlined and the chosen root filled
+    static async playBuild(steps, values) {
+        const statusP = document.getElementById('tree-status');
+        for (const step of steps) {
+            this.visualizationArea.innerHTML = '<div class="build-sequence"></div><div class="tree"></div>';
+            const row = this.visualizationArea.querySelector('.build-sequence');
+            values.forEach((value, i) => {
+                const cell = document.createElement('div');
+                cell.className = 'seq-cell';
+                cell.textContent = value;
+                if (i >= step.range[0] && i <= step.range[1]) cell.classList.add('in-range');
+                if (i === step.split) cell.classList.add('split-cell');
+                row.appendChild(cell);
+            });
+            const treeDiv = this.visualizationArea.querySelector('.tree');
+            TreeLayout.draw(treeDiv, step.root, node => [step.links.get(node).left, step.links.get(node).right], node => {
+                const nodeDiv = document.createElement('div');
+                nodeDiv.className = 'tree-node';
+                nodeDiv.textContent = node.data;
+                return nodeDiv;
+            });
+            statusP.textContent = step.note;
+            await Animations.sleep(this.animationSpeed);
+        }
+    }
+
+    // Replaces the tree's contents with an externally built root. BST order
+    // is reported, not enforced. In AVL mode an unbalanced but ordered tree
+    // is rebuilt by inserting its items in preorder, as changeMode does.
+    static async loadRoot(root) {
+        this.tree = this.createTree();
+        this.tree.root = root;
+        const ordered = this.tree.isOrdered();
+        let note = ordered ? 'Tree loaded' : 'Tree loaded, but it is not in BST order - search and insert assume it is';
+        if (this.tree instanceof AVLTree) {
+            this.tree.postorder(node => this.tree._update(node));
+            if (!this.tree.stats().balanced && ordered) {
+                const nodes = [];
+                this.tree.preorder(node => nodes.push(node));
+                this.tree = this.createTree();
+                let rejected = 0;
+                nodes.forEach(node => {
+                    for (let i = 0; i < node.count; i++) {
+                        if (!this.tree.insert(node.data)) rejected++;
+                    }
+                });
+                note = 'Tree loaded and rebalanced by inserting its items in preorder';
+                if (rejected) note += ` (${rejected} duplicate${rejected === 1 ? '' : 's'} rejected)`;
+            } else if (!this.tree.stats().balanced) {
+                note += '; it is not AVL-balanced either, and inserts only rebalance their own path';
+            }
+        }
+        await this.updateVisualization();
+        this.updateComplexity();
+        document.getElementById('tree-status').textContent = note;
+    }
+
+    static exportTree(format) {
+        const data = format === 'level' ? BST.toLevelOrder(this.tree.root) : BST.toJSON(this.tree.root);
+        document.getElementById('tree-serial').value = format === 'level' ? JSON.stringify(data) : JSON.stringify(data, null, 2);
+    }
+
+    static async importTree(format) {
+        const text = document.getElementById('tree-serial').value.trim();
+        let root;
+        try {
+            const data = JSON.parse(text);
+            root = format === 'level' ? BST.fromLevelOrder(data) : BST.fromJSON(data);
+        } catch (error) {
+            alert(`Could not import: ${error.message}`);
+            return;
+        }
+        await this.loadRoot(root);
     }
 
     static async traverse(type) {
         const result = [];
-        const callback = (node) => result.push(node.data);
+        const callback = (node) => result.push(this.tree.nodeLabel(node));
         this.tree[type](callback);
         document.getElementById('traversal-result').textContent = `${type.charAt(0).toUpperCase() + type.slice(1)}: ${result.join(' ')}`;
         await this.animateTraversal(type);
     }
 
+    // Replays traversalSteps: the current node is outlined, visited nodes
+    // stay filled, and the Queue/Stack (or Morris threads) is redrawn beside
+    // the tree at every step.
+    static async traverseWithSteps(type, label) {
+        if (!this.tree.root) {
+            alert('Tree is empty!');
+            return;
+        }
+        const steps = this.tree.traversalSteps(type);
+        await this.updateVisualization();
+        const elements = this.nodeElementMap();
+        const resultP = document.getElementById('traversal-result');
+        const statusP = document.getElementById('tree-status');
+        const treeDiv = this.visualizationArea.querySelector('.tree');
+        const visited = [];
+
+        const panel = document.createElement('div');
+        panel.className = 'aux-panel scheduler-section';
+        this.visualizationArea.appendChild(panel);
+
+        for (const step of steps) {
+            elements.forEach(element => element.classList.remove('path-node'));
+            const element = elements.get(step.node);
+            if (element) element.classList.add('path-node');
+            if (step.visit) {
+                visited.push(this.tree.nodeLabel(step.node));
+                if (element) element.classList.add('visited-node');
+            }
+            this.drawAuxiliary(panel, type, step);
+            if (treeDiv) this.drawThreads(treeDiv, elements, step.threads);
+            statusP.textContent = step.note;
+            resultP.textContent = `${label}: ${visited.join(' ')}`;
+            await Animations.sleep(this.animationSpeed);
+        }
+        elements.forEach(element => element.classList.remove('path-node'));
+        statusP.textContent = `${label} done - ${visited.length} nodes visited`;
+    }
+
+    static drawAuxiliary(panel, type, step) {
+        if (type === 'morris') {
+            panel.innerHTML = '<h4>Morris threads</h4>';
+            const lines = step.threads.map(([from, to]) => `${this.tree.nodeLabel(from)} → ${this.tree.nodeLabel(to)}`);
+            (lines.length ? lines : ['(none)']).forEach(line => {
+                const threadP = document.createElement('p');
+                threadP.textContent = line;
+                panel.appendChild(threadP);
+            });
+            return;
+        }
+        const isQueue = type === 'level';
+        panel.innerHTML = `<h4>${isQueue ? 'Queue (front on the left)' : 'Stack (top on top)'}</h4>`;
+        const inner = document.createElement('div');
+        inner.className = isQueue ? 'queue' : 'stack';
+        step.aux.forEach(node => {
+            const item = document.createElement('div');
+            item.className = isQueue ? 'queue-item' : 'stack-item';
+            item.textContent = this.tree.nodeLabel(node);
+            if (node === step.node && !step.visit) item.classList.add('highlight');
+            inner.appendChild(item);
+        });
+        panel.appendChild(inner);
+    }
+
+    // Dashed lines from each threaded node up to its in-order successor
+    static drawThreads(treeDiv, elements, threads) {
+        treeDiv.querySelectorAll('.thread-line').forEach(line => line.remove());
+        threads.forEach(([from, to]) => {
+            const a = elements.get(from);
+            const b = elements.get(to);
+            if (!a || !b) return;
+            TreeLayout.drawLine(treeDiv, parseFloat(a.style.left) + 25, parseFloat(a.style.top) + 25,
+                parseFloat(b.style.left) + 25, parseFloat(b.style.top) + 25);
+            treeDiv.lastChild.classList.add('thread-line');
+        });
+    }
+
     static async animateTraversal(type) {
-        const nodes = this.visualizationArea.querySelectorAll('.tree-node');
-        const order = this.getTraversalOrder(type);
+        const elements = this.nodeElementMap();
+        const order = [];
+        this.tree[type](node => order.push(node));
 
-        for (let data of order) {
-            const node = Array.from(nodes).find(n => n.textContent == data);
-            if (node) {
-                await Animations.highlightElement(node, this.animationSpeed);
+        for (let node of order) {
+            const element = elements.get(node);
+            if (element) {
+                await Animations.highlightElement(element, this.animationSpeed);
             }
         }
     }
@@ -181,50 +1439,80 @@ class TreeVisualizer {
         return result;
     }
 
+    static toggleMemoryView(button) {
+        this.memoryView = !this.memoryView;
+        button.firstChild.textContent = this.memoryView ? 'Tree View' : 'Memory View';
+        this.updateVisualization();
+    }
+
     static async updateVisualization() {
+        this.refreshInspector();
+        if (this.memoryView) {
+            this.drawMemory();
+            return;
+        }
         this.visualizationArea.innerHTML = '<div class="tree"></div>';
         const treeDiv = this.visualizationArea.querySelector('.tree');
 
         if (this.tree.root) {
-            this.drawTree(treeDiv, this.tree.root, 400, 50, 200);
+            this.drawTree(treeDiv, this.tree.root, { label: node => this.tree.nodeLabel(node) });
+            if (this.mode === 'avl' || this.annotation === 'balance') {
+                this.annotateBalance(this.tree.root, BST.linksOf(this.tree.root), this.nodeElementMap());
+            }
+            if (this.annotation === 'depth' || this.annotation === 'size') {
+                this.annotateNodes(this.annotation, this.nodeElementMap());
+            }
         }
     }
 
-    static drawTree(container, node, x, y, offset) {
-        if (!node) return;
-
-        const nodeDiv = document.createElement('div');
-        nodeDiv.className = 'tree-node';
-        nodeDiv.textContent = node.data;
-        nodeDiv.style.left = `${x - 25}px`;
-        nodeDiv.style.top = `${y}px`;
-        container.appendChild(nodeDiv);
-
-        if (node.left) {
-            this.drawLine(container, x, y + 25, x - offset, y + 75);
-            this.drawTree(container, node.left, x - offset, y + 100, offset / 2);
-        }
-        if (node.right) {
-            this.drawLine(container, x, y + 25, x + offset, y + 75);
-            this.drawTree(container, node.right, x + offset, y + 100, offset / 2);
-        }
+    static drawMemory() {
+        this.visualizationArea.innerHTML = `
+            <div class="memory-view">
+                <p class="memory-roots">root = ${MemoryView.address(this.tree.root)}</p>
+            </div>
+        `;
+        const view = this.visualizationArea.querySelector('.memory-view');
+        const nodes = [];
+        this.tree.preorder(node => nodes.push(node));
+        MemoryView.layout(view, nodes).forEach((cell, node) => {
+            cell.innerHTML += `
+                <div class="node-box">
+                    <div class="node-content">
+                        <div class="node-section">
+                            <span class="section-label">left</span>
+                            <span class="pointer-value">${MemoryView.address(node.left)}</span>
+                        </div>
+                        <div class="node-section data-section">
+                            <span class="section-label">data</span>
+                            <span class="data-value"></span>
+                        </div>
+                        <div class="node-section">
+                            <span class="section-label">right</span>
+                            <span class="pointer-value">${MemoryView.address(node.right)}</span>
+                        </div>
+                    </div>
+                </div>
+            `;
+            cell.querySelector('.data-value').textContent = this.tree.nodeLabel(node);
+        });
     }
 
-    static drawLine(container, x1, y1, x2, y2) {
-        const line = document.createElement('div');
-        line.style.position = 'absolute';
-        line.style.left = `${x1}px`;
-        line.style.top = `${y1}px`;
-        line.style.width = `${Math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2)}px`;
-        line.style.height = '1px';
-        line.style.backgroundColor = 'var(--text-color)';
-        line.style.transformOrigin = '0 0';
-        line.style.transform = `rotate(${Math.atan2(y2 - y1, x2 - x1)}rad)`;
-        container.appendChild(line);
+    // options.label turns a node into its text (node.data by default); the
+    // rest of options goes to TreeLayout
+    static drawTree(container, root, options = {}) {
+        const label = options.label || (node => node.data);
+        return TreeLayout.draw(container, root, node => [node.left, node.right], node => {
+            const nodeDiv = document.createElement('div');
+            nodeDiv.className = 'tree-node';
+            nodeDiv.textContent = label(node);
+            if (typeof node.data === 'object') nodeDiv.title = JSON.stringify(node.data);
+            return nodeDiv;
+        }, options);
     }
 
     static updateComplexity() {
-        this.timeComplexityP.textContent = 'Time Complexity: O(h) for insert/delete, O(n) for traversals';
+        const visited = this.lastVisited === null ? '' : `; last query visited ${this.lastVisited} node${this.lastVisited === 1 ? '' : 's'}`;
+        this.timeComplexityP.textContent = `Time Complexity: O(h) for insert/delete/search, O(n) for traversals (h = ${this.tree.height()}${visited})`;
         this.spaceComplexityP.textContent = 'Space Complexity: O(n)';
     }
 }
\ No newline at end of file
@@ -0,0 +1,121 @@
+// treelayout.js - Shared tidy layout for drawing binary trees
+
+// Reingold-Tilford style layout. Each subtree is laid out on its own, then
+// its two children are pushed apart just far enough that their contours
+// (leftmost and rightmost x on every level) keep `gap` pixels between
+// nodes, so the width follows the real subtree shapes. Works on any node
+// type: `children(node)` returns [left, right] with null for a missing
+// child, so heap indices work as well as TreeNodes.
+class TreeLayout {
+    static layout(root, children, width, { nodeSize = 50, gap = 20, levelHeight = 100, top = 50 } = {}) {
+        const positions = new Map();
+        if (root === null || root === undefined) return positions;
+        const separation = nodeSize + gap;
+        const offsets = new Map();
+
+        // Returns the subtree's contour relative to its root at x = 0
+        const measure = node => {
+            const [left, right] = children(node);
+            const leftContour = left !== null ? measure(left) : null;
+            const rightContour = right !== null ? measure(right) : null;
+            const contour = { left: [0], right: [0] };
+
+            // Children sit symmetrically under the parent. Besides keeping the
+            // two contours apart, the whole left subtree stays left of the
+            // parent and the right subtree right of it, so a BST reads in order.
+            let distance = separation;
+            if (leftContour && rightContour) {
+                const depth = Math.min(leftContour.right.length, rightContour.left.length);
+                for (let i = 0; i < depth; i++) {
+                    distance = Math.max(distance, leftContour.right[i] - rightContour.left[i] + separation);
+                }
+            }
+            if (leftContour) distance = Math.max(distance, 2 * Math.max(...leftContour.right) + separation);
+            if (rightContour) distance = Math.max(distance, separation - 2 * Math.min(...rightContour.left));
+            if (leftContour) offsets.set(left, -distance / 2);
+            if (rightContour) offsets.set(right, distance / 2);
+
+            const levels = Math.max(leftContour ? leftContour.left.length : 0, rightContour ? rightContour.left.length : 0);
+            for (let i = 0; i < levels; i++) {
+                const lefts = [];
+                const rights = [];
+                if (leftContour && i < leftContour.left.length) {
+                    lefts.push(leftContour.left[i] - distance / 2);
+                    rights.push(leftContour.right[i] - distance / 2);
+                }
+                if (rightContour && i < rightContour.left.length) {
+                    lefts.push(rightContour.left[i] + distance / 2);
+                    rights.push(rightContour.right[i] + distance / 2);
+                }
+                contour.left.push(Math.min(...lefts));
+                contour.right.push(Math.max(...rights));
+            }
+            return contour;
+        };
+
+        const contour = measure(root);
+        const minX = Math.min(...contour.left);
+        const span = Math.max(...contour.right) - minX;
+        // Centered when it fits, otherwise flush left so the container scrolls
+        const rootX = Math.max(nodeSize / 2 + gap / 2, (width - span) / 2) - minX;
+
+        const place = (node, x, depth) => {
+            positions.set(node, { x, y: top + depth * levelHeight });
+            children(node).forEach(child => {
+                if (child !== null) place(child, x + offsets.get(child), depth + 1);
+            });
+        };
+        place(root, rootX, 0);
+        return positions;
+    }
+
+    // Lays out and draws the tree into container: edges first, then one
+    // element per node from createNode(node), appended in preorder.
+    // Returns the positions so callers can find nodes again.
+    static draw(container, root, children, createNode, options = {}) {
+        const nodeSize = options.nodeSize || 50;
+        const positions = this.layout(root, children, this.availableWidth(container), options);
+        container.style.position = 'relative';
+
+        let maxX = 0;
+        let maxY = 0;
+        positions.forEach(({ x, y }, node) => {
+            maxX = Math.max(maxX, x);
+            maxY = Math.max(maxY, y);
+            children(node).forEach(child => {
+                if (child === null) return;
+                const to = positions.get(child);
+                this.drawLine(container, x, y + nodeSize / 2, to.x, to.y - nodeSize / 2);
+            });
+        });
+        positions.forEach(({ x, y }, node) => {
+            const element = createNode(node);
+            element.style.left = `${x - nodeSize / 2}px`;
+            element.style.top = `${y}px`;
+            container.appendChild(element);
+        });
+        container.style.minWidth = `${maxX + nodeSize}px`;
+        container.style.minHeight = `${maxY + nodeSize * 2}px`;
+        return positions;
+    }
+
+    // Width to center in, ignoring any minWidth left by an earlier draw
+    static availableWidth(container) {
+        container.style.minWidth = '';
+        return container.clientWidth || 800;
+    }
+
+    static drawLine(container, x1, y1, x2, y2) {
+        const line = document.createElement('div');
+        line.className = 'tree-line';
+        line.style.position = 'absolute';
+        line.style.left = `${x1}px`;
+        line.style.top = `${y1}px`;
+        line.style.width = `${Math.sqrt((x2 - x1) ** 2 + (y2 - y1) ** 2)}px`;
+        line.style.height = '1px';
+        line.style.backgroundColor = 'var(--text-color)';
+        line.style.transformOrigin = '0 0';
+        line.style.transform = `rotate(${Math.atan2(y2 - y1, x2 - x1)}rad)`;
+        container.appendChild(line);
+    }
+}